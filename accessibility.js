@@ -0,0 +1,103 @@
+import { CONFIG, EVENTS } from './config.js';
+import { log, getPrimaryAxis, getScrollPosition, getScrollState, getItemOffsets, getScrollEventTarget, formatTemplate, debounce } from './utils.js';
+
+/**
+ * Styles that hide the live region visually but keep it available to screen readers
+ */
+const VISUALLY_HIDDEN_STYLES = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: '0',
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: '0'
+};
+
+/**
+ * Get the 1-based range of items at least partly visible in the scrollable element
+ * Returns null if the element has no items
+ */
+export function getVisibleItemRange(scrollableElement, direction) {
+  const axis = getPrimaryAxis(direction);
+  const items = getItemOffsets(scrollableElement, axis);
+  if (items.length === 0) return null;
+  
+  const viewportStart = getScrollPosition(scrollableElement, axis);
+  const viewportSize = axis === 'horizontal' ? scrollableElement.clientWidth : scrollableElement.clientHeight;
+  const viewportEnd = viewportStart + viewportSize;
+  
+  // Ignore slivers of items at the edges
+  const tolerance = 1;
+  const visibleIndexes = items
+    .map((item, index) => (item.end > viewportStart + tolerance && item.start < viewportEnd - tolerance ? index : -1))
+    .filter(index => index !== -1);
+  
+  if (visibleIndexes.length === 0) return null;
+  
+  return {
+    first: visibleIndexes[0] + 1,
+    last: visibleIndexes[visibleIndexes.length - 1] + 1,
+    total: items.length
+  };
+}
+
+/**
+ * Get the announcement for the current scroll position
+ */
+function getAnnouncement(scrollableElement, direction, config) {
+  const range = getVisibleItemRange(scrollableElement, direction);
+  if (range) {
+    return formatTemplate(config.ANNOUNCEMENTS.ITEMS, range);
+  }
+  
+  const state = getScrollState(scrollableElement, direction, config);
+  return formatTemplate(config.ANNOUNCEMENTS.PROGRESS, { progress: Math.round(state.progress * 100) });
+}
+
+/**
+ * Setup a polite live region that announces the visible items after navigation
+ * Only called when announcements are enabled for the container
+ */
+export function setupLiveRegion(container, scrollableElement, direction, config = CONFIG) {
+  const liveRegion = document.createElement('div');
+  liveRegion.setAttribute('role', 'status');
+  liveRegion.setAttribute('aria-live', 'polite');
+  liveRegion.setAttribute('aria-atomic', 'true');
+  Object.assign(liveRegion.style, VISUALLY_HIDDEN_STYLES);
+  container.appendChild(liveRegion);
+  
+  const scrollEventTarget = getScrollEventTarget(scrollableElement);
+  
+  // Announce once scrolling has settled
+  const announce = debounce(() => {
+    scrollEventTarget.removeEventListener('scroll', announce);
+    liveRegion.textContent = getAnnouncement(scrollableElement, direction, config);
+  }, 200);
+  
+  const handleNavigate = (event) => {
+    if (event.target !== container || event.detail.scrollableElement !== scrollableElement) return;
+    
+    // Wait for other listeners, which may cancel the navigation
+    setTimeout(() => {
+      if (event.defaultPrevented) return;
+      
+      scrollEventTarget.addEventListener('scroll', announce, { passive: true });
+      announce();
+    }, 0);
+  };
+  
+  container.addEventListener(EVENTS.NAVIGATE, handleNavigate);
+  
+  log('Live region setup for navigation announcements', 'log', container);
+  
+  // Return cleanup function
+  return () => {
+    announce.cancel();
+    scrollEventTarget.removeEventListener('scroll', announce);
+    container.removeEventListener(EVENTS.NAVIGATE, handleNavigate);
+    liveRegion.remove();
+  };
+}
\ No newline at end of file
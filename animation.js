@@ -0,0 +1,111 @@
+import { CONFIG, EASINGS } from './config.js';
+import { log, getScrollPosition, toScrollOffset, applyScrollMoves, setScrollTarget, setScrollDriven, disableScrollSnap, prefersReducedMotion, getScrollEventTarget } from './utils.js';
+
+/**
+ * Running scroll animations, keyed by scrollable element
+ */
+const animations = new WeakMap();
+
+/**
+ * Get the easing function for ANIMATION.EASING: a function, or a name from EASINGS
+ */
+function getEasing(easing) {
+  if (typeof easing === 'function') {
+    return easing;
+  }
+  
+  if (!EASINGS[easing]) {
+    log(`Invalid easing "${easing}". Must be one of ${Object.keys(EASINGS).join(', ')}. Using ease-in-out.`, 'warn', null, 'invalid-easing');
+    return EASINGS['ease-in-out'];
+  }
+  
+  return EASINGS[easing];
+}
+
+/**
+ * Stop a running scroll animation where it is
+ */
+export function stopScrollAnimation(element) {
+  const animation = animations.get(element);
+  if (!animation) return;
+  
+  cancelAnimationFrame(animation.frameId);
+  animation.removeInputListeners();
+  animation.restoreScrollSnap();
+  animation.tracks.forEach(({ axis }) => setScrollTarget(element, axis, null));
+  setScrollDriven(element, 'animation', false);
+  animations.delete(element);
+}
+
+/**
+ * Animate an element to the targets returned by getScrollMoves
+ * A new animation starting while one runs continues from the current position
+ * and keeps the other axis heading for its target. Wheel and touch input stop
+ * the animation, and users who prefer reduced motion jump straight to the target.
+ */
+function animateScroll(element, moves, config) {
+  const running = animations.get(element);
+  const runningTracks = running ? running.tracks.filter(track => !moves.some(move => move.axis === track.axis)) : [];
+  stopScrollAnimation(element);
+  
+  const duration = config.ANIMATION.DURATION;
+  if (duration <= 0 || prefersReducedMotion()) {
+    applyScrollMoves(element, [...runningTracks, ...moves], { ...config, SCROLL_BEHAVIOR: 'instant' });
+    return;
+  }
+  
+  const easing = getEasing(config.ANIMATION.EASING);
+  const tracks = [...runningTracks, ...moves].map(({ axis, to }) => ({ axis, from: getScrollPosition(element, axis), to }));
+  const startTime = performance.now();
+  
+  // Navigation while animating continues from these targets
+  tracks.forEach(({ axis, to }) => setScrollTarget(element, axis, to));
+  setScrollDriven(element, 'animation', true);
+  
+  const step = (timestamp) => {
+    const progress = Math.min(1, Math.max(0, (timestamp - startTime) / duration));
+    const eased = easing(progress);
+    
+    const scrollOptions = { behavior: 'instant' };
+    tracks.forEach(({ axis, from, to }) => {
+      scrollOptions[axis === 'horizontal' ? 'left' : 'top'] = toScrollOffset(element, axis, from + (to - from) * eased);
+    });
+    element.scrollTo(scrollOptions);
+    
+    if (progress < 1) {
+      animation.frameId = requestAnimationFrame(step);
+    } else {
+      stopScrollAnimation(element);
+    }
+  };
+  
+  // The user taking over with the wheel or a touch stops the animation
+  const inputTarget = getScrollEventTarget(element);
+  const handleInput = () => stopScrollAnimation(element);
+  inputTarget.addEventListener('wheel', handleInput, { passive: true });
+  inputTarget.addEventListener('touchstart', handleInput, { passive: true });
+  
+  const animation = {
+    tracks,
+    frameId: requestAnimationFrame(step),
+    // Scroll snapping would pull the element back to a snap point every frame
+    restoreScrollSnap: disableScrollSnap(element),
+    removeInputListeners: () => {
+      inputTarget.removeEventListener('wheel', handleInput);
+      inputTarget.removeEventListener('touchstart', handleInput);
+    }
+  };
+  animations.set(element, animation);
+}
+
+/**
+ * Scroll an element to the targets returned by getScrollMoves, with the
+ * animation engine when ANIMATION is enabled and the browser's scrolling otherwise
+ */
+export function scrollElement(element, moves, config = CONFIG) {
+  if (config.ANIMATION.ENABLED) {
+    animateScroll(element, moves, config);
+  } else {
+    applyScrollMoves(element, moves, config);
+  }
+}
\ No newline at end of file
@@ -3,11 +3,56 @@ export const CONFIG = {
   // Attribute prefix for all data attributes
   ATTRIBUTE_PREFIX: 'data-scroll-indicators',
   
+  // Prefix for custom DOM events dispatched on containers
+  EVENT_PREFIX: 'scroll-indicators',
+  
   // CSS class names
   CSS_CLASSES: {
     VISIBLE: 'is-visible',
     HIDDEN: 'is-hidden',
-    IS_CLICK_TARGET: 'is-click-target'
+    IS_CLICK_TARGET: 'is-click-target',
+    IS_DRAGGING: 'is-dragging',
+    ACTIVE: 'is-active',
+    
+    // State of the primary scroller, on the container and each scrollable element
+    OVERFLOWING: 'is-overflowing',
+    NOT_OVERFLOWING: 'is-not-overflowing',
+    AT_START: 'is-at-start',
+    AT_END: 'is-at-end',
+    SCROLLING: 'is-scrolling'
+  },
+  
+  // CSS custom properties written on the container
+  // Values are unitless: progress is 0-1, distances are in pixels
+  CSS_PROPERTIES: {
+    PROGRESS: '--scroll-progress',
+    DISTANCE_START: '--scroll-distance-start',
+    DISTANCE_END: '--scroll-distance-end'
+  },
+  
+  // Accessible labels for click targets without text or an aria-label
+  ARIA_LABELS: {
+    START: 'Scroll back',
+    END: 'Scroll forward',
+    TOP: 'Scroll up',
+    BOTTOM: 'Scroll down',
+    LEFT: 'Scroll left',
+    RIGHT: 'Scroll right'
+  },
+  
+  // Live region announcements after navigation
+  // Placeholders: {first}, {last}, {total} for items, {progress} for percentage
+  ANNOUNCE: false,
+  ANNOUNCEMENTS: {
+    ITEMS: 'Showing items {first}–{last} of {total}',
+    PROGRESS: 'Scrolled to {progress}%'
+  },
+  
+  // Accessible labels for generated pagination buttons
+  // Placeholders: {index} and {total}
+  PAGINATION_LABELS: {
+    ITEM: 'Go to item {index} of {total}',
+    PAGE: 'Go to page {index} of {total}'
   },
   
   // Default scroll amounts for click functionality
@@ -16,22 +61,133 @@ export const CONFIG = {
     SCROLL_TO_END: false // If true, scrolls to end/beginning, if false uses fixed amount
   },
   
+  // Press-and-hold scrolling on click targets
+  HOLD: {
+    VELOCITY: 600, // Pixels per second
+    DELAY: 250 // Milliseconds before a press becomes a hold
+  },
+  
+  // Mouse drag-to-scroll on scrollable elements
+  DRAG: {
+    THRESHOLD: 5, // Pixels the pointer must move before a press becomes a drag
+    MOMENTUM: true, // Keep gliding after release (skipped for reduced motion)
+    FRICTION: 0.95 // Share of the momentum velocity kept per frame
+  },
+  
+  // Automatic advancing by the click distance
+  AUTOPLAY: {
+    ENABLED: false,
+    INTERVAL: 5000, // Milliseconds between steps
+    LOOP: false // If true, returns to the start after reaching the end
+  },
+  
   // Scroll behavior for smooth scrolling
   SCROLL_BEHAVIOR: 'smooth', // 'smooth' | 'auto' | 'instant'
   
+  // JS scroll animation, used instead of SCROLL_BEHAVIOR when enabled
+  ANIMATION: {
+    ENABLED: false,
+    DURATION: 400, // Milliseconds
+    EASING: 'ease-in-out' // A name from EASINGS, or a function from progress (0-1) to eased progress
+  },
+  
   // Threshold for determining if we're at start/end (in pixels)
   SCROLL_THRESHOLD: 1,
   
-  // Debug mode
-  DEBUG: true
+  // Milliseconds without scroll events before scrolling counts as ended,
+  // where the scrollend event isn't supported
+  SCROLL_END_TIMEOUT: 150,
+  
+  // Logging: DEBUG logs everything, otherwise only messages up to LOG_LEVEL
+  // ('silent' | 'error' | 'warn' | 'log'). LOGGER, if set, receives
+  // { level, message, element, code } instead of the console.
+  DEBUG: false,
+  LOG_LEVEL: 'warn',
+  LOGGER: null
+};
+
+// Easing functions for ANIMATION.EASING
+export const EASINGS = {
+  'linear': t => t,
+  'ease-in': t => t * t * t,
+  'ease-out': t => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
 };
 
 // Generate attribute names - these will update automatically if prefix changes
-export const ATTRIBUTES = {
-  DIRECTION: `${CONFIG.ATTRIBUTE_PREFIX}-direction`,
-  POSITION: `${CONFIG.ATTRIBUTE_PREFIX}-position`,
-  CLICK: `${CONFIG.ATTRIBUTE_PREFIX}-click`,
-  CLICK_DISTANCE: `${CONFIG.ATTRIBUTE_PREFIX}-click-distance`,
-  CLICK_TARGET: `${CONFIG.ATTRIBUTE_PREFIX}-click-target`,
-  CONTAINER: `${CONFIG.ATTRIBUTE_PREFIX}="container"`
-};
\ No newline at end of file
+function buildAttributes(prefix) {
+  return {
+    DIRECTION: `${prefix}-direction`,
+    POSITION: `${prefix}-position`,
+    CLICK: `${prefix}-click`,
+    CLICK_DISTANCE: `${prefix}-click-distance`,
+    CLICK_TARGET: `${prefix}-click-target`,
+    PROGRESS: `${prefix}-progress`,
+    LABEL: `${prefix}-label`,
+    KEYBOARD: `${prefix}-keyboard`,
+    CONTAINER: `${prefix}="container"`,
+    
+    // Per-container configuration overrides
+    BEHAVIOR: `${prefix}-behavior`,
+    THRESHOLD: `${prefix}-threshold`,
+    DEFAULT_DISTANCE: `${prefix}-default-distance`,
+    SCROLL_TO_END: `${prefix}-scroll-to-end`,
+    VISIBLE_CLASS: `${prefix}-visible-class`,
+    HIDDEN_CLASS: `${prefix}-hidden-class`,
+    CLICK_TARGET_CLASS: `${prefix}-click-target-class`,
+    ANNOUNCE: `${prefix}-announce`,
+    HOLD: `${prefix}-hold`,
+    AUTOPLAY: `${prefix}-autoplay`,
+    AUTOPLAY_LOOP: `${prefix}-autoplay-loop`,
+    SCROLLER: `${prefix}-scroller`,
+    FOR: `${prefix}-for`,
+    PAGINATION: `${prefix}-pagination`,
+    SYNC: `${prefix}-sync`,
+    DRAG: `${prefix}-drag`,
+    WHEEL: `${prefix}-wheel`,
+    ANIMATION: `${prefix}-animation`,
+    EASING: `${prefix}-easing`,
+    
+    // On the script tag, to skip automatic initialization
+    MANUAL: `${prefix}-manual`
+  };
+}
+
+// Generate event names - these will update automatically if prefix changes
+function buildEvents(prefix) {
+  return {
+    INIT: `${prefix}:init`,
+    CHANGE: `${prefix}:change`,
+    REACH_START: `${prefix}:reach-start`,
+    REACH_END: `${prefix}:reach-end`,
+    NAVIGATE: `${prefix}:navigate`,
+    DESTROY: `${prefix}:destroy`
+  };
+}
+
+export const ATTRIBUTES = buildAttributes(CONFIG.ATTRIBUTE_PREFIX);
+
+export const EVENTS = buildEvents(CONFIG.EVENT_PREFIX);
+
+/**
+ * Override the global configuration without editing this file
+ * Nested objects (CSS_CLASSES, CSS_PROPERTIES, ARIA_LABELS, ...) are merged key by key.
+ * Containers read the configuration when they are set up, so call this before initializing.
+ */
+export function configure(overrides = {}) {
+  Object.keys(overrides).forEach(key => {
+    const value = overrides[key];
+    
+    if (value && typeof value === 'object' && CONFIG[key] && typeof CONFIG[key] === 'object') {
+      Object.assign(CONFIG[key], value);
+    } else {
+      CONFIG[key] = value;
+    }
+  });
+  
+  // Keep generated names in sync with the prefixes
+  Object.assign(ATTRIBUTES, buildAttributes(CONFIG.ATTRIBUTE_PREFIX));
+  Object.assign(EVENTS, buildEvents(CONFIG.EVENT_PREFIX));
+  
+  return CONFIG;
+}
\ No newline at end of file
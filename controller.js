@@ -0,0 +1,341 @@
+import { ATTRIBUTES, EVENTS } from './config.js';
+import { log, getContainerConfig, findScrollableElements, findOwningScroller, isPageScroller, findIndicators, findClickTargets, findProgressElements, findPaginationElements, validateDirection, validatePosition, validateClickTargetPosition, validateThreshold, getPrimaryAxis, resolvePosition, getScrollState, dispatchScrollEvent } from './utils.js';
+import { setupProgressElements } from './progress.js';
+import { setupPagination } from './pagination.js';
+import { setupStateClasses } from './scroll-state.js';
+import { setupLiveRegion } from './accessibility.js';
+import { setupAutoplay } from './motion.js';
+import { stopScrollAnimation } from './animation.js';
+import { updateIndicatorVisibility, resetIndicatorVisibility, clearScrollState, navigate, navigateToOffset, setupScrollListener, setupLinkedScrolling, setupClickHandlers, setupKeyboardNavigation } from './events.js';
+
+/**
+ * Registry of active controllers, keyed by container element
+ */
+const registry = new Map();
+
+/**
+ * Check if an opt-in behavior is enabled on an element
+ * A boolean option overrides the attribute, which enables it unless "false"
+ */
+function isFeatureEnabled(element, option, attribute) {
+  if (typeof option === 'boolean') {
+    return option;
+  }
+  
+  const value = element.getAttribute(attribute);
+  return value !== null && value.trim().toLowerCase() !== 'false';
+}
+
+/**
+ * Setup progress and pagination elements, click targets, input handling and
+ * the scroll listener for one scrollable element of a container
+ * Returns the scroller with methods to update, query and tear it down
+ */
+function setupScroller(container, scrollableElement, direction, elements, primary, options, config) {
+  const { indicators, clickTargets, progressElements, paginationElements } = elements;
+  
+  // Setup progress output and state classes before the first update writes to them
+  const cleanupProgress = setupProgressElements(container, scrollableElement, progressElements, direction, primary);
+  const cleanupStateClasses = setupStateClasses(container, scrollableElement, primary, config);
+  
+  const cleanupPagination = paginationElements.length > 0
+    ? setupPagination(container, scrollableElement, paginationElements, direction, config)
+    : null;
+  
+  // Setup click handlers if enabled, before the first update sets their disabled state
+  const clickAttribute = container.getAttribute(ATTRIBUTES.CLICK);
+  const clickEnabled = typeof options.click === 'boolean'
+    ? options.click
+    : Boolean(clickAttribute) && clickAttribute.trim().toLowerCase() === 'true';
+  
+  const cleanupClickHandlers = clickEnabled
+    ? setupClickHandlers(container, scrollableElement, clickTargets, direction, config)
+    : null;
+  
+  // Setup keyboard navigation if enabled on the scrollable element
+  // The attribute value (or option) may set the arrow key distance
+  const keyboard = options.keyboard !== undefined
+    ? options.keyboard
+    : scrollableElement.getAttribute(ATTRIBUTES.KEYBOARD);
+  const keyboardValue = typeof keyboard === 'string' ? keyboard.trim().toLowerCase() : keyboard;
+  let keyboardEnabled = keyboardValue !== null && keyboardValue !== false && keyboardValue !== 'false';
+  if (keyboardEnabled && isPageScroller(scrollableElement)) {
+    log('Keyboard navigation is built into page scrolling, ignoring it for the window scroller', 'warn', container);
+    keyboardEnabled = false;
+  }
+  const arrowDistance = typeof keyboardValue === 'string' && !['', 'true'].includes(keyboardValue) ? keyboardValue : null;
+  
+  const cleanupKeyboard = keyboardEnabled
+    ? setupKeyboardNavigation(container, scrollableElement, direction, arrowDistance, config)
+    : null;
+  
+  // Drag scrolling works for any direction, wheel translation only for horizontal
+  const drag = isFeatureEnabled(scrollableElement, options.drag, ATTRIBUTES.DRAG);
+  let wheel = isFeatureEnabled(scrollableElement, options.wheel, ATTRIBUTES.WHEEL);
+  if (wheel && direction !== 'horizontal') {
+    log(`Wheel scrolling only applies to horizontal scrolling, ignoring it for ${direction}`, 'warn', scrollableElement);
+    wheel = false;
+  }
+  
+  // Setup scroll listener (returns cleanup function)
+  const cleanupScrollListener = setupScrollListener(container, scrollableElement, indicators, clickTargets, direction, config, { drag, wheel });
+  
+  return {
+    scrollableElement,
+    direction,
+    indicators,
+    clickTargets,
+    
+    update() {
+      return updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction, config);
+    },
+    
+    getState() {
+      return getScrollState(scrollableElement, direction, config);
+    },
+    
+    destroy() {
+      cleanupScrollListener();
+      if (cleanupClickHandlers) cleanupClickHandlers();
+      if (cleanupKeyboard) cleanupKeyboard();
+      cleanupProgress();
+      cleanupStateClasses();
+      if (cleanupPagination) cleanupPagination();
+      resetIndicatorVisibility(indicators, clickTargets, config);
+      clearScrollState(container, scrollableElement);
+      stopScrollAnimation(scrollableElement);
+    }
+  };
+}
+
+/**
+ * Create scroll indicators for a single container and return its controller
+ *
+ * A container may hold several scrollable elements. Indicators, click targets,
+ * progress and pagination elements belong to the first (primary) one unless they name
+ * another by id with the for attribute. With sync, all scrollable elements
+ * scroll together and share the primary scroller's indicators.
+ *
+ * Options:
+ * - scroller: "window" to use the page as the scroller, overriding the
+ *   container's scroller attribute
+ * - sync: overrides the container's sync attribute (boolean)
+ * - direction: overrides the scrollable elements' direction attributes
+ * - click: overrides the container's click attribute (boolean)
+ * - keyboard: overrides the scrollable elements' keyboard attributes
+ *   (boolean, or the arrow key distance)
+ * - drag, wheel: override the scrollable elements' drag and wheel attributes (boolean)
+ * - behavior, threshold, defaultDistance, scrollToEnd, visibleClass,
+ *   hiddenClass, clickTargetClass, announce, autoplay, autoplayLoop, animation: override the global configuration and
+ *   the container's matching data attributes (see getContainerConfig)
+ * - easing: an easing name, or a function from progress (0-1) to eased progress
+ *
+ * Returns null if the container cannot be set up. Calling this again for a
+ * container that already has a controller returns the existing controller.
+ */
+export function createScrollIndicators(container, options = {}) {
+  if (!container) {
+    log('createScrollIndicators called without a container', 'error');
+    return null;
+  }
+  
+  if (registry.has(container)) {
+    return registry.get(container);
+  }
+  
+  log(`Processing container`, 'log', container);
+  
+  // Find scrollable elements, or the page when the scroller option is "window"
+  const scrollableElements = options.scroller
+    ? findScrollableElements(container, options.scroller)
+    : findScrollableElements(container);
+  if (scrollableElements.length === 0) {
+    return null; // Error already logged in findScrollableElements
+  }
+  
+  // Linked scrollable elements follow the primary one, which drives the indicators
+  const sync = isFeatureEnabled(container, options.sync, ATTRIBUTES.SYNC) && scrollableElements.length > 1;
+  const candidates = sync ? scrollableElements.slice(0, 1) : scrollableElements;
+  
+  // Validate directions, allowing the options to override the attributes
+  const directions = new Map();
+  candidates.forEach(scrollable => {
+    const scrollableDirection = options.direction
+      ? validateDirection(scrollable, options.direction)
+      : validateDirection(scrollable);
+    if (scrollableDirection) directions.set(scrollable, scrollableDirection);
+  });
+  
+  if (!directions.has(candidates[0])) {
+    return null; // Error already logged in validateDirection
+  }
+  
+  const scrollers = candidates.filter(scrollable => directions.has(scrollable));
+  const config = getContainerConfig(container, options);
+  
+  // Group indicators, click targets, progress and pagination elements by scroller,
+  // filtering out invalid positions
+  const groups = new Map(scrollers.map(scrollable => [scrollable, { indicators: [], clickTargets: [], progressElements: [], paginationElements: [] }]));
+  const assign = (elements, key, isValid) => {
+    Array.from(elements).forEach(element => {
+      // Linked scrollers share the primary one's elements, but unknown ids are still skipped
+      const owner = findOwningScroller(element, scrollers);
+      const scrollable = sync && owner ? scrollers[0] : owner;
+      if (scrollable && isValid(element, directions.get(scrollable))) {
+        groups.get(scrollable)[key].push(element);
+      }
+    });
+  };
+  
+  assign(findIndicators(container), 'indicators', validatePosition);
+  assign(findClickTargets(container), 'clickTargets', validateClickTargetPosition);
+  assign(findProgressElements(container), 'progressElements', () => true);
+  assign(findPaginationElements(container), 'paginationElements', () => true);
+  
+  const allGroups = Array.from(groups.values());
+  const indicators = allGroups.flatMap(group => group.indicators);
+  const clickTargets = allGroups.flatMap(group => group.clickTargets);
+  const outputCount = allGroups.reduce((count, group) => count + group.progressElements.length + group.paginationElements.length, 0);
+  
+  // Check if we have any valid elements to work with
+  if (indicators.length === 0 && clickTargets.length === 0 && outputCount === 0) {
+    log(`Container has no valid indicators, click targets, progress or pagination elements`, 'warn', container, 'no-valid-elements');
+    return null;
+  }
+  
+  // Warn once about invalid thresholds, which fall back to the container threshold
+  [...indicators, ...clickTargets].forEach(element => validateThreshold(element));
+  
+  const setupScrollers = scrollers.map((scrollable, index) => {
+    return setupScroller(container, scrollable, directions.get(scrollable), groups.get(scrollable), index === 0, options, config);
+  });
+  const { scrollableElement, direction } = setupScrollers[0];
+  
+  // Keep linked scrollable elements at the primary scroller's position
+  const cleanupLinkedScrolling = sync
+    ? setupLinkedScrolling(container, scrollableElements, direction)
+    : null;
+  
+  // Setup live region announcements if enabled
+  const cleanupLiveRegion = config.ANNOUNCE
+    ? setupLiveRegion(container, scrollableElement, direction, config)
+    : null;
+  
+  // Setup autoplay if enabled
+  const cleanupAutoplay = config.AUTOPLAY.ENABLED
+    ? setupAutoplay(container, scrollableElement, direction, config)
+    : null;
+  
+  // Controller methods act on the primary scroller unless given another one
+  const getScroller = (target) => {
+    const scroller = setupScrollers.find(scroller => scroller.scrollableElement === target);
+    if (!scroller) {
+      log(`Scrollable element is not set up in this container`, 'warn', container);
+    }
+    return scroller || null;
+  };
+  
+  const controller = {
+    container,
+    scrollableElement,
+    scrollableElements,
+    direction,
+    options,
+    config,
+    
+    /**
+     * Recalculate indicator visibility, e.g. after content changes
+     * Returns whether the primary scroller is visible
+     */
+    update() {
+      const [visible] = setupScrollers.map(scroller => scroller.update());
+      return visible;
+    },
+    
+    /**
+     * Scroll to an edge ("start", "end", or "top"/"bottom"/"left"/"right"),
+     * or to a pixel offset from the start edge along the primary axis
+     */
+    scrollTo(position, target = scrollableElement) {
+      const scroller = getScroller(target);
+      if (!scroller) return;
+      
+      if (typeof position === 'number') {
+        navigateToOffset(container, target, getPrimaryAxis(scroller.direction), position, config);
+        return;
+      }
+      
+      if (resolvePosition(position, scroller.direction).length === 0) {
+        log(`Invalid scrollTo position "${position}" for ${scroller.direction} scrolling`, 'warn', container);
+        return;
+      }
+      
+      navigate(container, target, scroller.direction, 'end', position, config);
+    },
+    
+    /**
+     * Scroll by an amount: a number of pixels or any click distance value.
+     * Negative amounts scroll towards the start. For "both", every axis moves.
+     */
+    scrollBy(amount, target = scrollableElement) {
+      const scroller = getScroller(target);
+      if (!scroller) return;
+      
+      const value = typeof amount === 'number' ? `${amount}px` : String(amount).trim();
+      const position = value.startsWith('-') ? 'start' : 'end';
+      
+      navigate(container, target, scroller.direction, value.replace(/^-/, ''), position, config);
+    },
+    
+    /**
+     * Get the current scroll state
+     */
+    getState(target = scrollableElement) {
+      const scroller = getScroller(target);
+      return scroller ? scroller.getState() : null;
+    },
+    
+    /**
+     * Remove listeners, restore the DOM and unregister the controller
+     */
+    destroy() {
+      if (registry.get(container) !== controller) return;
+      
+      setupScrollers.forEach(scroller => scroller.destroy());
+      if (cleanupLinkedScrolling) cleanupLinkedScrolling();
+      if (cleanupLiveRegion) cleanupLiveRegion();
+      if (cleanupAutoplay) cleanupAutoplay();
+      registry.delete(container);
+      
+      dispatchScrollEvent(container, EVENTS.DESTROY, { controller });
+      log(`Container destroyed`, 'log', container);
+    }
+  };
+  
+  registry.set(container, controller);
+  dispatchScrollEvent(container, EVENTS.INIT, { controller, state: controller.getState() });
+  
+  log(`Container setup complete: ${direction} scrolling, ${setupScrollers.length} scrollers${sync ? ` (${scrollableElements.length} linked)` : ''}, ${indicators.length} indicators, ${clickTargets.length} click targets`, 'log', container);
+  return controller;
+}
+
+/**
+ * Get the controller for a container, or for any element inside one
+ */
+export function getScrollIndicators(element) {
+  if (!element) return null;
+  
+  if (registry.has(element)) {
+    return registry.get(element);
+  }
+  
+  const container = element.closest(`[${ATTRIBUTES.CONTAINER.replace('="container"', '')}="container"]`);
+  return container ? registry.get(container) || null : null;
+}
+
+/**
+ * Get all active controllers
+ */
+export function getAllScrollIndicators() {
+  return Array.from(registry.values());
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+import { ATTRIBUTES } from './config.js';
+import { log, hasDOM, collectIssues, findScrollContainers, getContainerConfig, findScrollableElements, findOwningScroller, findIndicators, findClickTargets, findProgressElements, findPaginationElements, validateDirection, validatePosition, validateClickTargetPosition, validateThreshold, getAxes, getMaxScroll, isElementVisible, isPageScroller } from './utils.js';
+import { validateProgressMode } from './progress.js';
+import { validatePaginationMode } from './pagination.js';
+
+/**
+ * Warn about elements matching a selector that are outside any container
+ */
+function checkOrphans(root, selector, label, code) {
+  root.querySelectorAll(selector).forEach(element => {
+    const container = element.closest(`[${ATTRIBUTES.CONTAINER.replace('="container"', '')}="container"]`);
+    
+    // Direction on <html> or <body> designates the page scroller
+    if (!container && !isPageScroller(element)) {
+      log(`${label} found outside any container`, 'warn', element, code);
+    }
+  });
+}
+
+/**
+ * Check for scrollable elements, indicators and click targets outside containers
+ */
+export function checkOrphanedElements(root = hasDOM() ? document : null) {
+  if (!root) return;
+  
+  checkOrphans(root, `[${ATTRIBUTES.DIRECTION}]`, 'Scrollable element', 'orphaned-scrollable');
+  checkOrphans(root, `[${ATTRIBUTES.POSITION}]`, 'Indicator', 'orphaned-indicator');
+  checkOrphans(root, `[${ATTRIBUTES.CLICK_TARGET}]`, 'Click target', 'orphaned-click-target');
+}
+
+/**
+ * Check a container's configuration, scrollable elements and the elements that refer to them
+ */
+function validateContainer(container) {
+  // Reports invalid configuration attributes
+  getContainerConfig(container);
+  
+  const scrollableElements = findScrollableElements(container);
+  const directions = new Map();
+  
+  scrollableElements.forEach(scrollable => {
+    const direction = validateDirection(scrollable);
+    if (!direction) return;
+    
+    directions.set(scrollable, direction);
+    
+    // Content that fits can't be scrolled, so the indicators never show
+    if (isElementVisible(scrollable) && getAxes(direction).every(axis => getMaxScroll(scrollable, axis) <= 0)) {
+      log(`Scrollable element has no overflow for ${direction} scrolling`, 'warn', scrollable, 'no-overflow');
+    }
+  });
+  
+  const getDirection = (element) => {
+    const scrollable = findOwningScroller(element, scrollableElements);
+    return scrollable ? directions.get(scrollable) || null : null;
+  };
+  
+  const indicators = Array.from(findIndicators(container));
+  const clickTargets = Array.from(findClickTargets(container));
+  const progressElements = Array.from(findProgressElements(container));
+  const paginationElements = Array.from(findPaginationElements(container));
+  
+  indicators.forEach(indicator => {
+    validatePosition(indicator, getDirection(indicator));
+    validateThreshold(indicator);
+  });
+  
+  clickTargets.forEach(clickTarget => {
+    validateClickTargetPosition(clickTarget, getDirection(clickTarget));
+    validateThreshold(clickTarget);
+  });
+  
+  progressElements.forEach(element => validateProgressMode(element, getDirection(element)));
+  paginationElements.forEach(element => {
+    // Reports a "for" attribute naming an unknown scrollable element
+    getDirection(element);
+    validatePaginationMode(element);
+  });
+  
+  if (indicators.length + clickTargets.length + progressElements.length + paginationElements.length === 0) {
+    log(`Container has no indicators, click targets, progress or pagination elements`, 'warn', container, 'no-valid-elements');
+  }
+}
+
+/**
+ * Validate the scroll indicator markup within a root: an element, a document
+ * or a shadow root (the whole document by default)
+ * Nothing is logged; returns the issues found, each with a machine-readable
+ * code, a level ("error" or "warn"), a message and the element concerned.
+ */
+export function validate(root = hasDOM() ? document : null) {
+  if (!root) return [];
+  
+  return collectIssues(() => {
+    checkOrphanedElements(root);
+    findScrollContainers(root).forEach(container => validateContainer(container));
+  });
+}
\ No newline at end of file
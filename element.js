@@ -0,0 +1,208 @@
+import { ATTRIBUTES } from './config.js';
+import { log, hasDOM } from './utils.js';
+import { createScrollIndicators, getScrollIndicators } from './controller.js';
+
+/**
+ * Attributes of the custom element and the createScrollIndicators options they set
+ */
+const ELEMENT_ATTRIBUTES = {
+  'direction': 'direction',
+  'scroller': 'scroller',
+  'sync': 'sync',
+  'click': 'click',
+  'click-distance': 'defaultDistance',
+  'keyboard': 'keyboard',
+  'drag': 'drag',
+  'wheel': 'wheel',
+  'behavior': 'behavior',
+  'threshold': 'threshold',
+  'announce': 'announce',
+  'autoplay': 'autoplay',
+  'autoplay-loop': 'autoplayLoop',
+  'animation': 'animation',
+  'easing': 'easing'
+};
+
+/**
+ * Attributes that switch a feature on when present, unless set to "false"
+ */
+const BOOLEAN_ATTRIBUTES = ['sync', 'click', 'drag', 'wheel', 'announce', 'autoplay-loop'];
+
+/**
+ * Elements that had the container attribute added by the custom element
+ */
+const addedContainerAttributes = new WeakSet();
+
+/**
+ * Connected elements, whose attribute changes trigger a rebuild
+ */
+const connectedElements = new WeakSet();
+
+/**
+ * Elements with a rebuild queued after attribute changes
+ */
+const pendingRefreshes = new WeakSet();
+
+/**
+ * Custom elements extend HTMLElement, which doesn't exist during server-side rendering
+ */
+const BaseElement = hasDOM() ? HTMLElement : class {};
+
+/**
+ * Read the createScrollIndicators options from a custom element's attributes
+ */
+function readElementOptions(element) {
+  const options = {};
+  
+  Object.keys(ELEMENT_ATTRIBUTES).forEach(name => {
+    const value = element.getAttribute(name);
+    if (value === null) return;
+    
+    options[ELEMENT_ATTRIBUTES[name]] = BOOLEAN_ATTRIBUTES.includes(name)
+      ? value.trim().toLowerCase() !== 'false'
+      : value;
+  });
+  
+  return options;
+}
+
+/**
+ * The <scroll-indicators> element: a container that sets itself up when
+ * connected, tears down when disconnected and rebuilds when its attributes change
+ * The navigation methods are navigateTo and navigateBy, as scrollTo and
+ * scrollBy already belong to every element.
+ */
+export class ScrollIndicatorsElement extends BaseElement {
+  static get observedAttributes() {
+    return Object.keys(ELEMENT_ATTRIBUTES);
+  }
+  
+  connectedCallback() {
+    connectedElements.add(this);
+    
+    // Children aren't parsed yet when the element is upgraded during page load
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => {
+        if (this.isConnected && !this.controller) this.refresh();
+      }, { once: true });
+      return;
+    }
+    
+    this.refresh();
+  }
+  
+  disconnectedCallback() {
+    connectedElements.delete(this);
+    
+    const controller = this.controller;
+    if (controller) controller.destroy();
+    
+    if (addedContainerAttributes.has(this)) {
+      addedContainerAttributes.delete(this);
+      this.removeAttribute(ATTRIBUTES.CONTAINER.replace('="container"', ''));
+    }
+  }
+  
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Attributes present on upgrade are read by connectedCallback instead
+    if (oldValue === newValue || !connectedElements.has(this) || pendingRefreshes.has(this)) return;
+    if (document.readyState === 'loading') return;
+    
+    // Rebuild once for all attributes changed together
+    pendingRefreshes.add(this);
+    queueMicrotask(() => {
+      pendingRefreshes.delete(this);
+      if (this.isConnected) this.refresh();
+    });
+  }
+  
+  /**
+   * Tear down and set up again, e.g. after the content changed
+   * Returns the new controller, or null if the element cannot be set up
+   */
+  refresh() {
+    const existing = this.controller;
+    if (existing) existing.destroy();
+    
+    // Mark the element as a container so its indicators and the observers recognise it
+    const containerAttribute = ATTRIBUTES.CONTAINER.replace('="container"', '');
+    if (this.getAttribute(containerAttribute) !== 'container') {
+      this.setAttribute(containerAttribute, 'container');
+      addedContainerAttributes.add(this);
+    }
+    
+    try {
+      return createScrollIndicators(this, readElementOptions(this));
+    } catch (error) {
+      log(`Error setting up container: ${error.message}`, 'error', this);
+      return null;
+    }
+  }
+  
+  /**
+   * The element's controller, or null while it isn't set up
+   */
+  get controller() {
+    const controller = getScrollIndicators(this);
+    return controller && controller.container === this ? controller : null;
+  }
+  
+  get scrollableElement() {
+    return this.controller ? this.controller.scrollableElement : null;
+  }
+  
+  get direction() {
+    return this.controller ? this.controller.direction : null;
+  }
+  
+  /**
+   * The primary scroller's current scroll state
+   */
+  get state() {
+    return this.controller ? this.controller.getState() : null;
+  }
+  
+  /**
+   * Scroll to an edge or pixel offset, like controller.scrollTo
+   */
+  navigateTo(position, target) {
+    if (this.controller) this.controller.scrollTo(position, target);
+  }
+  
+  /**
+   * Scroll by an amount, like controller.scrollBy
+   */
+  navigateBy(amount, target) {
+    if (this.controller) this.controller.scrollBy(amount, target);
+  }
+  
+  /**
+   * Recalculate indicator visibility
+   */
+  update() {
+    return this.controller ? this.controller.update() : false;
+  }
+}
+
+/**
+ * Register the custom element, as <scroll-indicators> by default
+ * Returns the registered class, or null without a DOM or custom element support
+ */
+export function defineScrollIndicatorsElement(name = 'scroll-indicators') {
+  if (!hasDOM()) return null;
+  
+  if (!window.customElements) {
+    log('Custom elements not supported, skipping the element registration', 'warn');
+    return null;
+  }
+  
+  const existing = window.customElements.get(name);
+  if (existing) {
+    return existing;
+  }
+  
+  // A class can only be registered once, so each name gets its own subclass
+  const elementClass = class extends ScrollIndicatorsElement {};
+  window.customElements.define(name, elementClass);
+  return elementClass;
+}
\ No newline at end of file
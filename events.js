@@ -1,94 +1,335 @@
-import { CONFIG, ATTRIBUTES } from './config.js';
-import { log, isAtStart, isAtEnd, validatePosition, validateClickTargetPosition, performScroll, isElementVisible, debounce } from './utils.js';
+import { CONFIG, ATTRIBUTES, EVENTS } from './config.js';
+import { updateProgress } from './progress.js';
+import { updateStateClasses } from './scroll-state.js';
+import { getHoldVelocity, setupHoldScrolling, setupDragScrolling, setupWheelScrolling } from './motion.js';
+import { scheduleFrame, cancelFrame } from './scheduler.js';
+import { scrollElement } from './animation.js';
+import { log, dispatchScrollEvent, getAxes, resolvePosition, getScrollPosition, getTargetScrollPosition, getMaxScroll, toScrollOffset, isAtStart, isAtEnd, getScrollState, validatePosition, validateClickTargetPosition, getScrollMoves, getElementThreshold, isElementVisible, isPageScroller, getScrollEventTarget, debounce, snapshotAttributes, ensureId } from './utils.js';
 
 /**
- * Update visibility of indicators and click targets based on scroll position
+ * Tabindex to restore on click targets when they are enabled again
+ * Only contains click targets set up by setupClickHandlers
  */
-export function updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction) {
-  // Skip calculations if element is not visible
-  if (!isElementVisible(scrollableElement)) {
+const clickTargetTabindexes = new WeakMap();
+
+/**
+ * Last known scroll state per scrollable element and container, used to detect changes
+ * Containers following the page scroller share its element, so each keeps its own state.
+ */
+const lastStates = new WeakMap();
+
+/**
+ * Last visibility set on each indicator and click target, to skip writes that change nothing
+ */
+const lastVisibility = new WeakMap();
+
+/**
+ * Update progress output and dispatch change and edge events if the scroll
+ * state changed since the last update. The first state recorded for a
+ * scrollable element is reported by the init event instead.
+ * Event details include the scrollable element, for containers with several.
+ */
+function updateScrollState(container, scrollableElement, direction, measuredState) {
+  const state = { ...measuredState, scrollableElement };
+  const containerStates = lastStates.get(scrollableElement) || new Map();
+  const previous = containerStates.get(container);
+  containerStates.set(container, state);
+  lastStates.set(scrollableElement, containerStates);
+  
+  if (!previous) {
+    updateProgress(container, scrollableElement, state);
+    updateStateClasses(container, scrollableElement, state);
+    return;
+  }
+  
+  const changed = previous.atStart !== state.atStart ||
+    previous.atEnd !== state.atEnd ||
+    getAxes(direction).some(axis => {
+      return previous[axis].scrollPosition !== state[axis].scrollPosition ||
+        previous[axis].maxScroll !== state[axis].maxScroll;
+    });
+  
+  if (!changed) return;
+  
+  updateProgress(container, scrollableElement, state);
+  updateStateClasses(container, scrollableElement, state);
+  dispatchScrollEvent(container, EVENTS.CHANGE, state);
+  
+  if (state.atStart && !previous.atStart) {
+    dispatchScrollEvent(container, EVENTS.REACH_START, state);
+  }
+  
+  if (state.atEnd && !previous.atEnd) {
+    dispatchScrollEvent(container, EVENTS.REACH_END, state);
+  }
+}
+
+/**
+ * Forget the last known scroll state of a container's scrollable element
+ */
+export function clearScrollState(container, scrollableElement) {
+  const containerStates = lastStates.get(scrollableElement);
+  if (!containerStates) return;
+  
+  containerStates.delete(container);
+  if (containerStates.size === 0) lastStates.delete(scrollableElement);
+}
+
+/**
+ * Dispatch a cancelable navigate event, then scroll to the targets returned by getScrollMoves
+ * Returns false if a listener cancelled the navigation
+ */
+function performNavigation(container, scrollableElement, moves, scrollAmount, position, config, trigger) {
+  const distance = Math.max(0, ...moves.map(move => Math.abs(move.to - move.from)));
+  
+  const proceed = dispatchScrollEvent(container, EVENTS.NAVIGATE, {
+    position,
+    scrollAmount,
+    distance,
+    trigger,
+    scrollableElement
+  }, true);
+  
+  if (!proceed) {
+    log(`Navigation to ${position} cancelled`, 'log', container);
     return false;
   }
   
-  const atStart = isAtStart(scrollableElement, direction);
-  const atEnd = isAtEnd(scrollableElement, direction);
+  scrollElement(scrollableElement, moves, config);
+  return true;
+}
+
+/**
+ * Scroll towards a position, dispatching a cancelable navigate event first
+ * Returns false if a listener cancelled the navigation
+ */
+export function navigate(container, scrollableElement, direction, scrollAmount, position, config = CONFIG, trigger = null) {
+  const moves = getScrollMoves(scrollableElement, direction, scrollAmount, position, container, config);
+  return performNavigation(container, scrollableElement, moves, scrollAmount, position, config, trigger);
+}
+
+/**
+ * Scroll to a pixel offset from the start edge along one axis, clamped to the scroll range
+ * The navigate event reports the edge scrolled towards and the distance as the amount.
+ * Returns false if a listener cancelled the navigation
+ */
+export function navigateToOffset(container, scrollableElement, axis, offset, config = CONFIG, trigger = null) {
+  const from = getTargetScrollPosition(scrollableElement, axis);
+  const to = Math.min(getMaxScroll(scrollableElement, axis), Math.max(0, offset));
+  const position = to < from ? 'start' : 'end';
   
-  // Update indicator visibility
-  indicators.forEach(indicator => {
-    const position = validatePosition(indicator);
-    if (!position) return;
-    
-    let shouldBeVisible = false;
-    
-    if (position === 'start') {
-      // Start indicator visible when NOT at start (can scroll back)
-      shouldBeVisible = !atStart;
-    } else if (position === 'end') {
-      // End indicator visible when NOT at end (can scroll forward)
-      shouldBeVisible = !atEnd;
-    }
-    
-    // Update CSS classes
-    if (shouldBeVisible) {
-      indicator.classList.remove(CONFIG.CSS_CLASSES.HIDDEN);
-      indicator.classList.add(CONFIG.CSS_CLASSES.VISIBLE);
-    } else {
-      indicator.classList.remove(CONFIG.CSS_CLASSES.VISIBLE);
-      indicator.classList.add(CONFIG.CSS_CLASSES.HIDDEN);
-    }
+  return performNavigation(container, scrollableElement, [{ axis, from, to }], `${Math.abs(to - from)}px`, position, config, trigger);
+}
+
+/**
+ * Check if an element at the given position should be visible
+ * Visible when any edge it refers to has not been reached (can scroll that way)
+ */
+function shouldShowAtPosition(edgeState, position, direction, scrollableElement) {
+  return resolvePosition(position, direction, scrollableElement).some(({ axis, edge }) => {
+    return edge === 'start' ? !edgeState[axis].atStart : !edgeState[axis].atEnd;
   });
+}
+
+/**
+ * Get whether each axis is at its start and end, using the threshold per axis
+ */
+function getEdgeState(scrollableElement, direction, config, thresholdFor = () => config.SCROLL_THRESHOLD) {
+  const edgeState = {};
+  getAxes(direction).forEach(axis => {
+    const threshold = thresholdFor(axis);
+    edgeState[axis] = {
+      atStart: isAtStart(scrollableElement, axis, config, threshold),
+      atEnd: isAtEnd(scrollableElement, axis, config, threshold)
+    };
+  });
+  return edgeState;
+}
+
+/**
+ * Get the edge state for an indicator or click target
+ * Elements with a threshold attribute decide visibility by their own offset
+ */
+function getElementEdgeState(element, container, scrollableElement, direction, defaultEdgeState, config) {
+  if (!element.hasAttribute(ATTRIBUTES.THRESHOLD)) {
+    return defaultEdgeState;
+  }
   
-  // Update click target visibility
-  clickTargets.forEach(clickTarget => {
-    const position = validateClickTargetPosition(clickTarget);
-    if (!position) return;
-    
-    let shouldBeVisible = false;
+  return getEdgeState(scrollableElement, direction, config, axis => getElementThreshold(element, scrollableElement, axis, container, config));
+}
+
+/**
+ * Measure the scroll state and which indicators and click targets should be
+ * visible, without changing the DOM
+ */
+function measureIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction, config) {
+  const state = getScrollState(scrollableElement, direction, config);
+  
+  // Skip calculations if element is not visible
+  if (!isElementVisible(scrollableElement)) {
+    return { state, visible: false, indicators: [], clickTargets: [] };
+  }
+  
+  // Edge state per axis, so "both" can be checked one axis at a time
+  const edgeState = getEdgeState(scrollableElement, direction, config);
+  
+  const measure = (elements, validate) => elements.map(element => {
+    const position = validate(element, direction);
+    if (!position) return null;
     
-    if (position === 'start') {
-      // Start click target visible when NOT at start (can scroll back)
-      shouldBeVisible = !atStart;
-    } else if (position === 'end') {
-      // End click target visible when NOT at end (can scroll forward)
-      shouldBeVisible = !atEnd;
-    }
+    const elementEdgeState = getElementEdgeState(element, container, scrollableElement, direction, edgeState, config);
+    return { element, visible: shouldShowAtPosition(elementEdgeState, position, direction, scrollableElement) };
+  }).filter(Boolean);
+  
+  return {
+    state,
+    visible: true,
+    indicators: measure(indicators, validatePosition),
+    clickTargets: measure(clickTargets, validateClickTargetPosition)
+  };
+}
+
+/**
+ * Set the visibility classes of an indicator or click target
+ * Returns false if the element already had that visibility
+ */
+function setElementVisibility(element, visible, config) {
+  if (lastVisibility.get(element) === visible) return false;
+  lastVisibility.set(element, visible);
+  
+  if (visible) {
+    element.classList.remove(config.CSS_CLASSES.HIDDEN);
+    element.classList.add(config.CSS_CLASSES.VISIBLE);
+  } else {
+    element.classList.remove(config.CSS_CLASSES.VISIBLE);
+    element.classList.add(config.CSS_CLASSES.HIDDEN);
+  }
+  
+  return true;
+}
+
+/**
+ * Apply a measurement from measureIndicatorVisibility
+ * Returns whether the scrollable element was visible
+ */
+function applyIndicatorVisibility(container, scrollableElement, direction, measurement, config) {
+  // Report state changes, including to and from hidden (nothing to scroll)
+  updateScrollState(container, scrollableElement, direction, measurement.state);
+  
+  measurement.indicators.forEach(({ element, visible }) => setElementVisibility(element, visible, config));
+  
+  measurement.clickTargets.forEach(({ element, visible }) => {
+    if (!setElementVisibility(element, visible, config)) return;
     
-    // Update CSS classes
-    if (shouldBeVisible) {
-      clickTarget.classList.remove(CONFIG.CSS_CLASSES.HIDDEN);
-      clickTarget.classList.add(CONFIG.CSS_CLASSES.VISIBLE);
-    } else {
-      clickTarget.classList.remove(CONFIG.CSS_CLASSES.VISIBLE);
-      clickTarget.classList.add(CONFIG.CSS_CLASSES.HIDDEN);
+    // Disable clickable targets at their edge and take them out of the tab order
+    if (clickTargetTabindexes.has(element)) {
+      if (visible) {
+        element.removeAttribute('aria-disabled');
+        element.setAttribute('tabindex', clickTargetTabindexes.get(element));
+      } else {
+        element.setAttribute('aria-disabled', 'true');
+        element.setAttribute('tabindex', '-1');
+      }
     }
   });
   
-  return true;
+  return measurement.visible;
+}
+
+/**
+ * Update visibility of indicators and click targets based on scroll position
+ * Returns whether the scrollable element is visible
+ */
+export function updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction, config = CONFIG) {
+  const measurement = measureIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction, config);
+  return applyIndicatorVisibility(container, scrollableElement, direction, measurement, config);
+}
+
+/**
+ * Create an update for the shared frame scheduler
+ * Measures during the frame's read phase and changes classes during its write phase.
+ */
+function createScheduledUpdate(container, scrollableElement, indicators, clickTargets, direction, config) {
+  return () => {
+    const measurement = measureIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction, config);
+    return () => applyIndicatorVisibility(container, scrollableElement, direction, measurement, config);
+  };
 }
 
 /**
  * Setup resize listener for a container
+ * requestUpdate schedules an update of the container's indicators.
  */
-export function setupResizeListener(container, scrollableElement, indicators, clickTargets, direction) {
-  const handleResize = debounce(() => {
-    // Only update if the element is visible
-    if (isElementVisible(scrollableElement)) {
-      updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction);
-    }
-  }, 150); // 150ms debounce
+export function setupResizeListener(requestUpdate) {
+  const handleResize = debounce(requestUpdate, 150); // 150ms debounce
   
   window.addEventListener('resize', handleResize);
   
   // Return cleanup function
   return () => {
+    handleResize.cancel();
     window.removeEventListener('resize', handleResize);
   };
 }
 
+/**
+ * Setup size observer for the scrollable element and its children
+ * Catches images loading, items being filtered and layout changes that don't resize the window
+ */
+export function setupSizeObserver(scrollableElement, requestUpdate) {
+  if (!window.ResizeObserver) {
+    log('ResizeObserver not supported, falling back to window resize events', 'warn');
+    return null;
+  }
+  
+  let lastMetrics = '';
+  
+  const resizeObserver = new ResizeObserver(() => {
+    // Only update when the scroll metrics effectively changed
+    const metrics = [
+      scrollableElement.scrollWidth,
+      scrollableElement.clientWidth,
+      scrollableElement.scrollHeight,
+      scrollableElement.clientHeight
+    ].join(',');
+    
+    if (metrics === lastMetrics) return;
+    lastMetrics = metrics;
+    
+    requestUpdate();
+  });
+  
+  resizeObserver.observe(scrollableElement);
+  Array.from(scrollableElement.children).forEach(child => resizeObserver.observe(child));
+  
+  // Observe children added later, e.g. items rendered after filtering
+  let mutationObserver = null;
+  if (window.MutationObserver) {
+    mutationObserver = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) resizeObserver.observe(node);
+        });
+        mutation.removedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) resizeObserver.unobserve(node);
+        });
+      });
+    });
+    
+    mutationObserver.observe(scrollableElement, { childList: true });
+  }
+  
+  // Return cleanup function
+  return () => {
+    resizeObserver.disconnect();
+    if (mutationObserver) mutationObserver.disconnect();
+  };
+}
+
 /**
  * Setup visibility observer for hidden elements
  */
-export function setupVisibilityObserver(container, scrollableElement, indicators, clickTargets, direction) {
+export function setupVisibilityObserver(scrollableElement, requestUpdate) {
   if (!window.IntersectionObserver) {
     log('IntersectionObserver not supported, skipping visibility detection', 'warn');
     return null;
@@ -98,7 +339,7 @@ export function setupVisibilityObserver(container, scrollableElement, indicators
     entries.forEach(entry => {
       if (entry.isIntersecting && entry.intersectionRatio > 0) {
         // Element is now visible, update indicators
-        updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction);
+        requestUpdate();
       }
     });
   }, {
@@ -112,80 +353,172 @@ export function setupVisibilityObserver(container, scrollableElement, indicators
 }
 
 /**
- * Setup scroll event listeners with requestAnimationFrame throttling
+ * Setup scroll event listeners, updating at most once per frame through the shared scheduler
+ * Drag and wheel scrolling, when enabled in input, feed the same throttled update.
+ * Size and visibility changes are batched into the same frames.
  */
-export function setupScrollListener(container, scrollableElement, indicators, clickTargets, direction) {
-  let scrollUpdateRequested = false;
+export function setupScrollListener(container, scrollableElement, indicators, clickTargets, direction, config = CONFIG, input = {}) {
+  const scheduledUpdate = createScheduledUpdate(container, scrollableElement, indicators, clickTargets, direction, config);
+  const requestUpdate = () => scheduleFrame(scheduledUpdate);
   
-  const handleScroll = () => {
-    if (!scrollUpdateRequested) {
-      requestAnimationFrame(() => {
-        updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction);
-        scrollUpdateRequested = false;
-      });
-      scrollUpdateRequested = true;
-    }
-  };
+  // The page scroller's scroll events fire on the window
+  const scrollEventTarget = getScrollEventTarget(scrollableElement);
+  scrollEventTarget.addEventListener('scroll', requestUpdate, { passive: true });
   
-  scrollableElement.addEventListener('scroll', handleScroll);
+  const cleanupDrag = input.drag ? setupDragScrolling(scrollableElement, direction, requestUpdate, config) : null;
+  const cleanupWheel = input.wheel ? setupWheelScrolling(scrollableElement, requestUpdate, config) : null;
   
   // Set initial visibility - this now returns a boolean
-  const initialSuccess = updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction);
+  const initialSuccess = updateIndicatorVisibility(container, scrollableElement, indicators, clickTargets, direction, config);
   
-  // Setup resize listener
-  const cleanupResize = setupResizeListener(container, scrollableElement, indicators, clickTargets, direction);
+  // Track size changes, using the window resize listener as a fallback
+  // The page scroller needs both, as the viewport size isn't observable
+  const cleanupSizeObserver = setupSizeObserver(scrollableElement, requestUpdate);
+  const cleanupResizeListener = !cleanupSizeObserver || isPageScroller(scrollableElement)
+    ? setupResizeListener(requestUpdate)
+    : null;
   
   // If initial setup failed (element hidden), setup visibility observer
   let cleanupVisibility = null;
   if (!initialSuccess) {
-    cleanupVisibility = setupVisibilityObserver(container, scrollableElement, indicators, clickTargets, direction);
+    cleanupVisibility = setupVisibilityObserver(scrollableElement, requestUpdate);
   }
   
   log(`Scroll listener setup complete for ${direction} scrolling`, 'log', container);
   
   // Return cleanup function for all listeners
   return () => {
-    cleanupResize();
+    scrollEventTarget.removeEventListener('scroll', requestUpdate);
+    cancelFrame(scheduledUpdate);
+    if (cleanupDrag) cleanupDrag();
+    if (cleanupWheel) cleanupWheel();
+    if (cleanupSizeObserver) cleanupSizeObserver();
+    if (cleanupResizeListener) cleanupResizeListener();
     if (cleanupVisibility) cleanupVisibility();
   };
 }
 
+/**
+ * Keep linked scrollable elements at the same scroll position
+ * Scrolling any of them moves the others to the same logical position on each
+ * axis, clamped to their own scroll range. Only called for synced containers.
+ */
+export function setupLinkedScrolling(container, scrollableElements, direction) {
+  const axes = getAxes(direction);
+  
+  // Positions set by syncing, so the resulting scroll events aren't synced back
+  const syncedPositions = new Map();
+  
+  const isAtPositions = (element, positions) => axes.every(axis => {
+    return Math.abs(getScrollPosition(element, axis) - positions[axis]) < 1;
+  });
+  
+  const cleanups = scrollableElements.map(source => {
+    const handleScroll = () => {
+      const expected = syncedPositions.get(source);
+      syncedPositions.delete(source);
+      if (expected && isAtPositions(source, expected)) return;
+      
+      scrollableElements.forEach(target => {
+        if (target === source) return;
+        
+        const positions = {};
+        const scrollOptions = { behavior: 'instant' };
+        axes.forEach(axis => {
+          positions[axis] = Math.min(getMaxScroll(target, axis), getScrollPosition(source, axis));
+          scrollOptions[axis === 'horizontal' ? 'left' : 'top'] = toScrollOffset(target, axis, positions[axis]);
+        });
+        
+        if (isAtPositions(target, positions)) return;
+        
+        syncedPositions.set(target, positions);
+        target.scrollTo(scrollOptions);
+      });
+    };
+    
+    const scrollEventTarget = getScrollEventTarget(source);
+    scrollEventTarget.addEventListener('scroll', handleScroll, { passive: true });
+    
+    return () => scrollEventTarget.removeEventListener('scroll', handleScroll);
+  });
+  
+  log(`Linked scrolling setup for ${scrollableElements.length} scrollable elements`, 'log', container);
+  
+  // Return cleanup function
+  return () => cleanups.forEach(cleanup => cleanup());
+}
+
 /**
  * Setup click handlers for click targets
+ * Only called when click is enabled for the container
  */
-export function setupClickHandlers(container, scrollableElement, clickTargets, direction) {
-  const clickEnabled = container.getAttribute(ATTRIBUTES.CLICK);
+export function setupClickHandlers(container, scrollableElement, clickTargets, direction, config = CONFIG) {
+  const cleanups = [];
   
-  if (!clickEnabled || clickEnabled.trim().toLowerCase() !== 'true') {
-    return; // Click not enabled for this container
-  }
+  // Click targets point at the scrollable element with aria-controls, unless it's the page
+  const pageScroller = isPageScroller(scrollableElement);
+  const restoreScrollableId = pageScroller ? () => {} : snapshotAttributes(scrollableElement, ['id']);
+  const scrollableId = pageScroller ? null : ensureId(scrollableElement, 'scroll-indicators-scroller');
   
   clickTargets.forEach(clickTarget => {
-    const position = validateClickTargetPosition(clickTarget);
+    const position = validateClickTargetPosition(clickTarget, direction);
     if (!position) return;
     
+    const restoreAttributes = snapshotAttributes(clickTarget, ['tabindex', 'role', 'aria-controls', 'aria-label', 'aria-disabled']);
+    
     // Add has-click class for styling
-    clickTarget.classList.add(CONFIG.CSS_CLASSES.IS_CLICK_TARGET);
+    clickTarget.classList.add(config.CSS_CLASSES.IS_CLICK_TARGET);
     
     // Setup click handler
     const handleClick = (event) => {
       event.preventDefault();
       event.stopPropagation();
       
+      // Targets at their edge are disabled
+      if (clickTarget.getAttribute('aria-disabled') === 'true') return;
+      
       const customScrollAmount = clickTarget.getAttribute(ATTRIBUTES.CLICK_DISTANCE);
-      const scrollAmount = customScrollAmount || (CONFIG.DEFAULT_SCROLL.SCROLL_TO_END ? 'end' : CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT);
+      const scrollAmount = customScrollAmount || (config.DEFAULT_SCROLL.SCROLL_TO_END ? 'end' : config.DEFAULT_SCROLL.FIXED_AMOUNT);
       
-      performScroll(scrollableElement, direction, scrollAmount, position, container);
+      navigate(container, scrollableElement, direction, scrollAmount, position, config, clickTarget);
       
       log(`Click target clicked: ${position}, scroll amount: ${scrollAmount}`, 'log', clickTarget);
     };
     
+    // Press-and-hold scrolling, setup first so it can suppress the click that ends a hold
+    const holdVelocity = getHoldVelocity(container, clickTarget, config);
+    const cleanupHold = holdVelocity !== null
+      ? setupHoldScrolling(scrollableElement, clickTarget, position, direction, holdVelocity, config)
+      : null;
+    
     clickTarget.addEventListener('click', handleClick);
     
     // Make click target focusable and keyboard accessible
     if (!clickTarget.hasAttribute('tabindex')) {
       clickTarget.setAttribute('tabindex', '0');
     }
+    clickTargetTabindexes.set(clickTarget, clickTarget.getAttribute('tabindex'));
+    
+    // Button semantics, unless the element is a button or has its own role
+    if (clickTarget.tagName !== 'BUTTON' && !clickTarget.hasAttribute('role')) {
+      clickTarget.setAttribute('role', 'button');
+    }
+    
+    if (scrollableId && !clickTarget.hasAttribute('aria-controls')) {
+      clickTarget.setAttribute('aria-controls', scrollableId);
+    }
+    
+    // Label from the label attribute, or a default label for targets without text
+    const customLabel = clickTarget.getAttribute(ATTRIBUTES.LABEL);
+    const hasAccessibleName = clickTarget.hasAttribute('aria-label') ||
+      clickTarget.hasAttribute('aria-labelledby') ||
+      clickTarget.textContent.trim() !== '';
+    
+    if (customLabel) {
+      clickTarget.setAttribute('aria-label', customLabel);
+    } else if (!hasAccessibleName) {
+      clickTarget.setAttribute('aria-label', config.ARIA_LABELS[position.toUpperCase()]);
+    }
     
     // Add keyboard support
     const handleKeydown = (event) => {
@@ -196,7 +529,113 @@ export function setupClickHandlers(container, scrollableElement, clickTargets, d
     };
     
     clickTarget.addEventListener('keydown', handleKeydown);
+    
+    // Undo everything this handler setup added to the click target
+    cleanups.push(() => {
+      clickTarget.removeEventListener('click', handleClick);
+      clickTarget.removeEventListener('keydown', handleKeydown);
+      if (cleanupHold) cleanupHold();
+      clickTarget.classList.remove(config.CSS_CLASSES.IS_CLICK_TARGET);
+      clickTargetTabindexes.delete(clickTarget);
+      restoreAttributes();
+    });
   });
   
   log(`Click handlers setup for ${clickTargets.length} click targets`, 'log', container);
+  
+  // Return cleanup function for all click targets
+  return () => {
+    cleanups.forEach(cleanup => cleanup());
+    restoreScrollableId();
+  };
+}
+
+/**
+ * Keys handled by keyboard navigation, mapped to a position and distance
+ * A null distance means the arrow key distance. For "both", the start and end
+ * positions of the page and edge keys are replaced by BLOCK_POSITIONS.
+ */
+const NAVIGATION_KEYS = {
+  ArrowLeft: { position: 'left', distance: null },
+  ArrowRight: { position: 'right', distance: null },
+  ArrowUp: { position: 'top', distance: null },
+  ArrowDown: { position: 'bottom', distance: null },
+  PageUp: { position: 'start', distance: 'page' },
+  PageDown: { position: 'end', distance: 'page' },
+  Home: { position: 'start', distance: 'end' },
+  End: { position: 'end', distance: 'end' }
+};
+
+/**
+ * Positions along the vertical axis only, the primary axis for "both"
+ */
+const BLOCK_POSITIONS = {
+  start: 'top',
+  end: 'bottom'
+};
+
+/**
+ * Check if a keyboard event comes from an element that needs the keys itself
+ */
+function isEditableTarget(target) {
+  if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+  
+  return target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) ||
+    Boolean(target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+}
+
+/**
+ * Setup keyboard navigation on the scrollable element itself
+ * Arrow keys move by the given distance (defaulting to the click distance),
+ * PageUp/PageDown by a page and Home/End to the edges.
+ */
+export function setupKeyboardNavigation(container, scrollableElement, direction, arrowDistance = null, config = CONFIG) {
+  const restoreTabindex = snapshotAttributes(scrollableElement, ['tabindex']);
+  
+  // Make the scrollable element focusable so it can receive key presses
+  if (!scrollableElement.hasAttribute('tabindex')) {
+    scrollableElement.setAttribute('tabindex', '0');
+  }
+  
+  const handleKeydown = (event) => {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (isEditableTarget(event.target)) return;
+    
+    const key = NAVIGATION_KEYS[event.key];
+    if (!key) return;
+    
+    // PageDown or End on a table shouldn't move right and down at once
+    const position = direction === 'both' && BLOCK_POSITIONS[key.position] ? BLOCK_POSITIONS[key.position] : key.position;
+    
+    // Only handle keys that match the scroll direction, e.g. not ArrowUp on horizontal scrollers
+    if (resolvePosition(position, direction, scrollableElement).length === 0) return;
+    
+    const scrollAmount = key.distance ||
+      arrowDistance ||
+      (config.DEFAULT_SCROLL.SCROLL_TO_END ? 'end' : config.DEFAULT_SCROLL.FIXED_AMOUNT);
+    
+    event.preventDefault();
+    navigate(container, scrollableElement, direction, scrollAmount, position, config, scrollableElement);
+  };
+  
+  scrollableElement.addEventListener('keydown', handleKeydown);
+  
+  log(`Keyboard navigation setup for ${direction} scrolling`, 'log', scrollableElement);
+  
+  // Return cleanup function
+  return () => {
+    scrollableElement.removeEventListener('keydown', handleKeydown);
+    restoreTabindex();
+  };
+}
+
+/**
+ * Remove the visibility classes added by updateIndicatorVisibility
+ */
+export function resetIndicatorVisibility(indicators, clickTargets, config = CONFIG) {
+  [...indicators, ...clickTargets].forEach(element => {
+    element.classList.remove(config.CSS_CLASSES.VISIBLE, config.CSS_CLASSES.HIDDEN);
+    lastVisibility.delete(element);
+  });
 }
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { CONFIG, ATTRIBUTES } from './config.js';
+import { log, hasDOM, findScrollContainers, isPageScroller } from './utils.js';
+import { checkOrphanedElements, validate } from './diagnostics.js';
+import { ScrollIndicatorsElement, defineScrollIndicatorsElement } from './element.js';
+import { createScrollIndicators, getScrollIndicators, getAllScrollIndicators } from './controller.js';
+
+/**
+ * Initialize all scroll indicators within a root: an element, a document or
+ * a shadow root (the whole page by default)
+ * Containers in shadow roots are only found when their shadow root is passed.
+ * Does nothing without a DOM, e.g. during server-side rendering.
+ */
+function initializeScrollIndicators(root = hasDOM() ? document : null) {
+  if (!root) return;
+  
+  log('Initializing scroll indicators...');
+  
+  // Find all containers
+  const containers = findScrollContainers(root);
+  
+  if (containers.length === 0) {
+    log('No scroll indicator containers found');
+    return;
+  }
+  
+  log(`Found ${containers.length} container(s)`);
+  
+  // Check for orphaned elements
+  checkOrphanedElements(root);
+  
+  // Setup each container
+  let successCount = 0;
+  containers.forEach(container => {
+    try {
+      // The custom element reads its options from its own attributes
+      const controller = container instanceof ScrollIndicatorsElement
+        ? container.controller || container.refresh()
+        : createScrollIndicators(container);
+      
+      if (controller) {
+        successCount++;
+      }
+    } catch (error) {
+      log(`Error setting up container: ${error.message}`, 'error', container);
+    }
+  });
+  
+  log(`Initialization complete: ${successCount}/${containers.length} containers successfully setup`);
+}
+
+/**
+ * Cleanup scroll indicators and their listeners: all of them, or only the
+ * containers within a root element, document or shadow root
+ */
+function cleanupScrollIndicators(root = null) {
+  log('Cleaning up scroll indicators...');
+  
+  const controllers = getAllScrollIndicators()
+    .filter(controller => !root || root.contains(controller.container));
+  let cleanupCount = 0;
+  
+  controllers.forEach(controller => {
+    try {
+      controller.destroy();
+      cleanupCount++;
+    } catch (error) {
+      log(`Error cleaning up container: ${error.message}`, 'error', controller.container);
+    }
+  });
+  
+  log(`Cleanup complete: ${cleanupCount} containers cleaned up`);
+}
+
+/**
+ * Re-create a container's controller so it picks up DOM changes
+ */
+function refreshContainer(container) {
+  // The custom element reads its options from its own attributes
+  if (container instanceof ScrollIndicatorsElement) {
+    container.refresh();
+    return;
+  }
+  
+  const existing = getScrollIndicators(container);
+  const options = existing && existing.container === container ? existing.options : {};
+  
+  if (existing && existing.container === container) {
+    existing.destroy();
+  }
+  
+  try {
+    createScrollIndicators(container, options);
+  } catch (error) {
+    log(`Error setting up container: ${error.message}`, 'error', container);
+  }
+}
+
+/**
+ * Check if a node is, or contains, an element the module cares about
+ */
+function containsRelevantElement(node, selector) {
+  if (node.nodeType !== Node.ELEMENT_NODE) return false;
+  return node.matches(selector) || Boolean(node.querySelector(selector));
+}
+
+/**
+ * Watch the document (or another root, such as a shadow root) for containers
+ * being added or removed, and for indicators, click targets or directions
+ * changing inside existing containers.
+ * Returns a function that stops observing.
+ */
+function observeScrollIndicators(root = hasDOM() ? document : null) {
+  if (!root) return () => {};
+  
+  if (!window.MutationObserver) {
+    log('MutationObserver not supported, skipping automatic discovery', 'warn');
+    return () => {};
+  }
+  
+  const containerSelector = `[${ATTRIBUTES.CONTAINER.replace('="container"', '')}="container"]`;
+  const relevantSelector = [
+    containerSelector,
+    `[${ATTRIBUTES.DIRECTION}]`,
+    `[${ATTRIBUTES.POSITION}]`,
+    `[${ATTRIBUTES.CLICK_TARGET}]`,
+    `[${ATTRIBUTES.PROGRESS}]`,
+    `[${ATTRIBUTES.PAGINATION}]`
+  ].join(', ');
+  
+  // Containers that set themselves up, like the custom element when connected, are already current
+  const isSetUp = (container) => {
+    const controller = getScrollIndicators(container);
+    return Boolean(controller && controller.container === container);
+  };
+  
+  const observer = new MutationObserver(mutations => {
+    const containersToRefresh = new Set();
+    let nodesRemoved = false;
+    
+    mutations.forEach(mutation => {
+      const target = mutation.target;
+      
+      if (mutation.type === 'attributes') {
+        if (target.matches(containerSelector) && mutation.attributeName === CONFIG.ATTRIBUTE_PREFIX && isSetUp(target)) {
+          return;
+        } else if (target.matches(containerSelector)) {
+          containersToRefresh.add(target);
+        } else if (isPageScroller(target) && mutation.attributeName === ATTRIBUTES.DIRECTION) {
+          // Page direction changed, refresh the containers using the page scroller
+          getAllScrollIndicators().forEach(controller => {
+            if (isPageScroller(controller.scrollableElement)) containersToRefresh.add(controller.container);
+          });
+        } else if (mutation.attributeName === CONFIG.ATTRIBUTE_PREFIX) {
+          // Element stopped being a container
+          const controller = getScrollIndicators(target);
+          if (controller && controller.container === target) controller.destroy();
+        } else {
+          const closestContainer = target.closest(containerSelector);
+          if (closestContainer) containersToRefresh.add(closestContainer);
+        }
+        return;
+      }
+      
+      const addedNodes = Array.from(mutation.addedNodes).filter(node => containsRelevantElement(node, relevantSelector));
+      const removedNodes = Array.from(mutation.removedNodes).filter(node => containsRelevantElement(node, relevantSelector));
+      
+      if (removedNodes.length > 0) nodesRemoved = true;
+      if (addedNodes.length === 0 && removedNodes.length === 0) return;
+      
+      // New containers anywhere in the added subtrees
+      addedNodes.forEach(node => {
+        const containers = Array.from(node.querySelectorAll(containerSelector));
+        if (node.matches(containerSelector)) containers.unshift(node);
+        containers.forEach(container => {
+          if (!isSetUp(container)) containersToRefresh.add(container);
+        });
+      });
+      
+      // Indicators, click targets, progress, pagination elements or scrollers added to or removed from a container
+      const closestContainer = target.nodeType === Node.ELEMENT_NODE ? target.closest(containerSelector) : null;
+      if (closestContainer) containersToRefresh.add(closestContainer);
+    });
+    
+    // Destroy controllers whose container left the document
+    if (nodesRemoved) {
+      getAllScrollIndicators().forEach(controller => {
+        if (!controller.container.isConnected) {
+          controller.destroy();
+        }
+      });
+    }
+    
+    containersToRefresh.forEach(container => {
+      if (container.isConnected) refreshContainer(container);
+    });
+  });
+  
+  observer.observe(root.nodeType === Node.DOCUMENT_NODE ? root.documentElement : root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: [
+      CONFIG.ATTRIBUTE_PREFIX,
+      ATTRIBUTES.DIRECTION,
+      ATTRIBUTES.POSITION,
+      ATTRIBUTES.CLICK,
+      ATTRIBUTES.CLICK_TARGET,
+      ATTRIBUTES.PROGRESS,
+      ATTRIBUTES.BEHAVIOR,
+      ATTRIBUTES.THRESHOLD,
+      ATTRIBUTES.DEFAULT_DISTANCE,
+      ATTRIBUTES.SCROLL_TO_END,
+      ATTRIBUTES.VISIBLE_CLASS,
+      ATTRIBUTES.HIDDEN_CLASS,
+      ATTRIBUTES.CLICK_TARGET_CLASS,
+      ATTRIBUTES.ANNOUNCE,
+      ATTRIBUTES.KEYBOARD,
+      ATTRIBUTES.HOLD,
+      ATTRIBUTES.AUTOPLAY,
+      ATTRIBUTES.AUTOPLAY_LOOP,
+      ATTRIBUTES.SCROLLER,
+      ATTRIBUTES.FOR,
+      ATTRIBUTES.PAGINATION,
+      ATTRIBUTES.SYNC,
+      ATTRIBUTES.DRAG,
+      ATTRIBUTES.WHEEL,
+      ATTRIBUTES.ANIMATION,
+      ATTRIBUTES.EASING
+    ]
+  });
+  
+  log('Observing for scroll indicator changes');
+  
+  // Return function that stops observing
+  return () => observer.disconnect();
+}
+
+// Export for manual initialization, per-container control and cleanup if needed
+export { configure } from './config.js';
+export { initializeScrollIndicators, cleanupScrollIndicators, observeScrollIndicators, createScrollIndicators, getScrollIndicators, validate, ScrollIndicatorsElement, defineScrollIndicatorsElement };
\ No newline at end of file
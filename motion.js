@@ -0,0 +1,472 @@
+import { CONFIG, ATTRIBUTES } from './config.js';
+import { log, getAxes, resolvePosition, getScrollPosition, getMaxScroll, toScrollOffset, isAtStart, isAtEnd, prefersReducedMotion, setScrollDriven, disableScrollSnap } from './utils.js';
+import { navigate } from './events.js';
+import { stopScrollAnimation } from './animation.js';
+
+/**
+ * Read a hold velocity attribute value
+ * Empty or "true" means the configured default velocity
+ */
+function parseHoldVelocity(value, config = CONFIG) {
+  const trimmedValue = value.trim().toLowerCase();
+  if (trimmedValue === '' || trimmedValue === 'true') {
+    return config.HOLD.VELOCITY;
+  }
+  
+  const velocity = parseFloat(trimmedValue);
+  if (isNaN(velocity) || velocity <= 0) {
+    log(`Invalid hold velocity "${value}". Must be pixels per second. Using ${config.HOLD.VELOCITY}.`, 'warn', null, 'invalid-hold');
+    return config.HOLD.VELOCITY;
+  }
+  
+  return velocity;
+}
+
+/**
+ * Get the hold velocity for a click target, from the target or its container
+ * Returns null if hold scrolling is not enabled
+ */
+export function getHoldVelocity(container, clickTarget, config = CONFIG) {
+  const value = clickTarget.hasAttribute(ATTRIBUTES.HOLD)
+    ? clickTarget.getAttribute(ATTRIBUTES.HOLD)
+    : container.getAttribute(ATTRIBUTES.HOLD);
+  
+  if (value === null || value.trim().toLowerCase() === 'false') {
+    return null;
+  }
+  
+  return parseHoldVelocity(value, config);
+}
+
+/**
+ * Setup press-and-hold scrolling on a click target
+ * After HOLD.DELAY the press scrolls continuously at the given velocity until
+ * the pointer is released or leaves the target. The click that ends a hold
+ * is suppressed so it doesn't also scroll by the click distance.
+ */
+export function setupHoldScrolling(scrollableElement, clickTarget, position, direction, velocity, config = CONFIG) {
+  let holdTimeout = null;
+  let animationFrameId = null;
+  let lastTimestamp = null;
+  let suppressClick = false;
+  let restoreScrollSnap = null;
+  
+  const endHold = () => {
+    if (restoreScrollSnap) {
+      restoreScrollSnap();
+      restoreScrollSnap = null;
+    }
+    setScrollDriven(scrollableElement, 'hold', false);
+  };
+  
+  const step = (timestamp) => {
+    const elapsed = lastTimestamp === null ? 0 : (timestamp - lastTimestamp) / 1000;
+    lastTimestamp = timestamp;
+    
+    const distance = velocity * elapsed;
+    const scrollOptions = { behavior: 'instant' };
+    let moving = false;
+    
+    resolvePosition(position, direction, scrollableElement).forEach(({ axis, edge }) => {
+      const currentPosition = getScrollPosition(scrollableElement, axis);
+      const maxScroll = getMaxScroll(scrollableElement, axis);
+      const newPosition = Math.min(maxScroll, Math.max(0, currentPosition + (edge === 'start' ? -distance : distance)));
+      
+      if (edge === 'start' ? currentPosition > 0 : currentPosition < maxScroll) {
+        moving = true;
+      }
+      
+      scrollOptions[axis === 'horizontal' ? 'left' : 'top'] = toScrollOffset(scrollableElement, axis, newPosition);
+    });
+    
+    // Stop once every axis reached its edge
+    if (!moving) {
+      animationFrameId = null;
+      endHold();
+      return;
+    }
+    
+    scrollableElement.scrollTo(scrollOptions);
+    animationFrameId = requestAnimationFrame(step);
+  };
+  
+  const stopHold = () => {
+    clearTimeout(holdTimeout);
+    holdTimeout = null;
+    if (animationFrameId !== null) {
+      cancelAnimationFrame(animationFrameId);
+      animationFrameId = null;
+    }
+    endHold();
+  };
+  
+  const handlePointerDown = (event) => {
+    if (event.button !== 0 || clickTarget.getAttribute('aria-disabled') === 'true') return;
+    
+    stopHold();
+    suppressClick = false;
+    
+    holdTimeout = setTimeout(() => {
+      suppressClick = true;
+      lastTimestamp = null;
+      stopScrollAnimation(scrollableElement);
+      setScrollDriven(scrollableElement, 'hold', true);
+      // Scroll snapping would pull the element back on every step
+      restoreScrollSnap = disableScrollSnap(scrollableElement);
+      animationFrameId = requestAnimationFrame(step);
+    }, config.HOLD.DELAY);
+  };
+  
+  // Runs before the click handler, so a hold doesn't also scroll by the click distance
+  const handleClickCapture = (event) => {
+    if (!suppressClick) return;
+    
+    suppressClick = false;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  };
+  
+  clickTarget.addEventListener('pointerdown', handlePointerDown);
+  clickTarget.addEventListener('pointerup', stopHold);
+  clickTarget.addEventListener('pointerleave', stopHold);
+  clickTarget.addEventListener('pointercancel', stopHold);
+  clickTarget.addEventListener('click', handleClickCapture, true);
+  
+  // Return cleanup function
+  return () => {
+    stopHold();
+    clickTarget.removeEventListener('pointerdown', handlePointerDown);
+    clickTarget.removeEventListener('pointerup', stopHold);
+    clickTarget.removeEventListener('pointerleave', stopHold);
+    clickTarget.removeEventListener('pointercancel', stopHold);
+    clickTarget.removeEventListener('click', handleClickCapture, true);
+  };
+}
+
+/**
+ * Pointer presses already handled by a nested drag scroller
+ */
+const claimedPointerEvents = new WeakSet();
+
+/**
+ * Setup mouse drag-to-scroll on a scrollable element
+ * Touch and pen already scroll natively, so only mouse presses are handled.
+ * After release the element keeps gliding with the drag velocity unless
+ * DRAG.MOMENTUM is off or the user prefers reduced motion. A click ending a
+ * drag is suppressed so links and click targets inside aren't activated.
+ * onScroll is called after every programmatic scroll.
+ */
+export function setupDragScrolling(scrollableElement, direction, onScroll, config = CONFIG) {
+  const axes = getAxes(direction);
+  let drag = null;
+  let momentumFrameId = null;
+  let suppressClick = false;
+  let suppressClickTimeout = null;
+  let restoreScrollSnap = null;
+  
+  const scrollByPixels = (deltaX, deltaY) => {
+    const scrollOptions = { behavior: 'instant' };
+    if (axes.includes('horizontal')) scrollOptions.left = scrollableElement.scrollLeft - deltaX;
+    if (axes.includes('vertical')) scrollOptions.top = scrollableElement.scrollTop - deltaY;
+    
+    const { scrollLeft, scrollTop } = scrollableElement;
+    scrollableElement.scrollTo(scrollOptions);
+    onScroll();
+    
+    return scrollableElement.scrollLeft !== scrollLeft || scrollableElement.scrollTop !== scrollTop;
+  };
+  
+  const stopMomentum = () => {
+    if (momentumFrameId !== null) {
+      cancelAnimationFrame(momentumFrameId);
+      momentumFrameId = null;
+    }
+    if (restoreScrollSnap) {
+      restoreScrollSnap();
+      restoreScrollSnap = null;
+    }
+    setScrollDriven(scrollableElement, 'drag', false);
+  };
+  
+  const startMomentum = (velocityX, velocityY) => {
+    let lastTimestamp = null;
+    
+    const step = (timestamp) => {
+      const elapsed = lastTimestamp === null ? 16 : timestamp - lastTimestamp;
+      lastTimestamp = timestamp;
+      
+      const moved = scrollByPixels(velocityX * elapsed, velocityY * elapsed);
+      
+      // Friction is defined per 60fps frame
+      const decay = Math.pow(config.DRAG.FRICTION, elapsed / 16);
+      velocityX *= decay;
+      velocityY *= decay;
+      
+      if (!moved || Math.max(Math.abs(velocityX), Math.abs(velocityY)) < 0.02) {
+        stopMomentum();
+        return;
+      }
+      
+      momentumFrameId = requestAnimationFrame(step);
+    };
+    
+    momentumFrameId = requestAnimationFrame(step);
+  };
+  
+  const handlePointerDown = (event) => {
+    if (event.pointerType !== 'mouse' || event.button !== 0) return;
+    
+    // The innermost draggable element of nested scrollers takes the drag
+    if (claimedPointerEvents.has(event)) return;
+    claimedPointerEvents.add(event);
+    
+    stopMomentum();
+    suppressClick = false;
+    drag = {
+      pointerId: event.pointerId,
+      lastX: event.clientX,
+      lastY: event.clientY,
+      lastTime: event.timeStamp,
+      distance: 0,
+      velocityX: 0,
+      velocityY: 0,
+      dragging: false
+    };
+  };
+  
+  const handlePointerMove = (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    
+    // Released outside the element before the drag captured the pointer
+    if ((event.buttons & 1) === 0) {
+      handlePointerUp(event);
+      return;
+    }
+    
+    const deltaX = event.clientX - drag.lastX;
+    const deltaY = event.clientY - drag.lastY;
+    const elapsed = Math.max(1, event.timeStamp - drag.lastTime);
+    
+    drag.distance += Math.hypot(deltaX, deltaY);
+    drag.lastX = event.clientX;
+    drag.lastY = event.clientY;
+    drag.lastTime = event.timeStamp;
+    
+    // Weight recent movement most, in pixels per millisecond
+    drag.velocityX = 0.8 * (deltaX / elapsed) + 0.2 * drag.velocityX;
+    drag.velocityY = 0.8 * (deltaY / elapsed) + 0.2 * drag.velocityY;
+    
+    if (!drag.dragging) {
+      if (drag.distance < config.DRAG.THRESHOLD) return;
+      
+      drag.dragging = true;
+      stopScrollAnimation(scrollableElement);
+      setScrollDriven(scrollableElement, 'drag', true);
+      // Scroll snapping would pull the element back on every move
+      restoreScrollSnap = disableScrollSnap(scrollableElement);
+      scrollableElement.classList.add(config.CSS_CLASSES.IS_DRAGGING);
+      if (scrollableElement.setPointerCapture) scrollableElement.setPointerCapture(drag.pointerId);
+    }
+    
+    scrollByPixels(deltaX, deltaY);
+  };
+  
+  const handlePointerUp = (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    
+    const { dragging, velocityX, velocityY, lastTime } = drag;
+    drag = null;
+    if (!dragging) return;
+    
+    // The click, if any, follows in the same task
+    suppressClick = true;
+    suppressClickTimeout = setTimeout(() => {
+      suppressClick = false;
+    }, 0);
+    scrollableElement.classList.remove(config.CSS_CLASSES.IS_DRAGGING);
+    
+    // No momentum if the pointer rested before release
+    const released = event.type === 'pointerup' && event.timeStamp - lastTime < 100;
+    if (released && config.DRAG.MOMENTUM && !prefersReducedMotion()) {
+      startMomentum(velocityX, velocityY);
+    } else {
+      stopMomentum();
+    }
+  };
+  
+  // Runs before handlers inside the element, so a drag doesn't activate links or click targets
+  const handleClickCapture = (event) => {
+    if (!suppressClick) return;
+    
+    suppressClick = false;
+    event.preventDefault();
+    event.stopPropagation();
+  };
+  
+  // Native dragging of links and images would take over the pointer
+  const handleDragStart = (event) => event.preventDefault();
+  
+  scrollableElement.addEventListener('pointerdown', handlePointerDown);
+  scrollableElement.addEventListener('pointermove', handlePointerMove);
+  scrollableElement.addEventListener('pointerup', handlePointerUp);
+  scrollableElement.addEventListener('pointercancel', handlePointerUp);
+  scrollableElement.addEventListener('click', handleClickCapture, true);
+  scrollableElement.addEventListener('dragstart', handleDragStart);
+  
+  log(`Drag scrolling setup for ${direction} scrolling`, 'log', scrollableElement);
+  
+  // Return cleanup function
+  return () => {
+    stopMomentum();
+    clearTimeout(suppressClickTimeout);
+    scrollableElement.classList.remove(config.CSS_CLASSES.IS_DRAGGING);
+    scrollableElement.removeEventListener('pointerdown', handlePointerDown);
+    scrollableElement.removeEventListener('pointermove', handlePointerMove);
+    scrollableElement.removeEventListener('pointerup', handlePointerUp);
+    scrollableElement.removeEventListener('pointercancel', handlePointerUp);
+    scrollableElement.removeEventListener('click', handleClickCapture, true);
+    scrollableElement.removeEventListener('dragstart', handleDragStart);
+  };
+}
+
+/**
+ * Setup vertical mouse wheel scrolling for a horizontal scrollable element
+ * Vertical wheel deltas move the element sideways until it reaches the edge
+ * in that direction, after which the page scrolls as usual.
+ * onScroll is called after every programmatic scroll.
+ */
+export function setupWheelScrolling(scrollableElement, onScroll, config = CONFIG) {
+  let restoreScrollSnap = null;
+  let wheelEndTimeout = null;
+  
+  const endWheel = () => {
+    clearTimeout(wheelEndTimeout);
+    wheelEndTimeout = null;
+    if (restoreScrollSnap) {
+      restoreScrollSnap();
+      restoreScrollSnap = null;
+    }
+  };
+  
+  const handleWheel = (event) => {
+    // Leave zooming, trackpad panning and shift+wheel to the browser, and
+    // wheel events already used by a nested scroller
+    if (event.defaultPrevented || event.ctrlKey || event.shiftKey || event.deltaY === 0 || Math.abs(event.deltaX) >= Math.abs(event.deltaY)) return;
+    
+    const forward = event.deltaY > 0;
+    if (forward ? isAtEnd(scrollableElement, 'horizontal', config) : isAtStart(scrollableElement, 'horizontal', config)) return;
+    
+    event.preventDefault();
+    
+    // Line and page deltas come from some mice and browsers
+    let delta = event.deltaY;
+    if (event.deltaMode === 1) delta *= 16;
+    if (event.deltaMode === 2) delta *= scrollableElement.clientWidth;
+    
+    // Scroll snapping would pull a small step back to the same snap point,
+    // so it's paused until the wheel has been idle for SCROLL_END_TIMEOUT
+    if (!restoreScrollSnap) restoreScrollSnap = disableScrollSnap(scrollableElement);
+    clearTimeout(wheelEndTimeout);
+    wheelEndTimeout = setTimeout(endWheel, config.SCROLL_END_TIMEOUT);
+    
+    const position = Math.min(getMaxScroll(scrollableElement, 'horizontal'), Math.max(0, getScrollPosition(scrollableElement, 'horizontal') + delta));
+    scrollableElement.scrollTo({ left: toScrollOffset(scrollableElement, 'horizontal', position), behavior: 'instant' });
+    onScroll();
+  };
+  
+  scrollableElement.addEventListener('wheel', handleWheel, { passive: false });
+  
+  log('Wheel scrolling setup for horizontal scrolling', 'log', scrollableElement);
+  
+  // Return cleanup function
+  return () => {
+    endWheel();
+    scrollableElement.removeEventListener('wheel', handleWheel);
+  };
+}
+
+/**
+ * Setup autoplay for a container
+ * Advances by the default click distance every AUTOPLAY.INTERVAL, pausing while
+ * the container is hovered or focused, the page is hidden, or the user prefers
+ * reduced motion. With AUTOPLAY.LOOP it returns to the start after the end.
+ * Only called when autoplay is enabled for the container.
+ */
+export function setupAutoplay(container, scrollableElement, direction, config = CONFIG) {
+  const pauseReasons = new Set();
+  let interval = null;
+  
+  const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  
+  const advance = () => {
+    if (isAtEnd(scrollableElement, direction, config)) {
+      if (config.AUTOPLAY.LOOP) {
+        navigate(container, scrollableElement, direction, 'end', 'start', config, container);
+      }
+      return;
+    }
+    
+    const scrollAmount = config.DEFAULT_SCROLL.SCROLL_TO_END ? 'end' : config.DEFAULT_SCROLL.FIXED_AMOUNT;
+    navigate(container, scrollableElement, direction, scrollAmount, 'end', config, container);
+  };
+  
+  const updateTimer = () => {
+    if (pauseReasons.size > 0 && interval !== null) {
+      clearInterval(interval);
+      interval = null;
+    } else if (pauseReasons.size === 0 && interval === null) {
+      interval = setInterval(advance, config.AUTOPLAY.INTERVAL);
+    }
+  };
+  
+  const pause = (reason) => () => {
+    pauseReasons.add(reason);
+    updateTimer();
+  };
+  
+  const resume = (reason) => () => {
+    pauseReasons.delete(reason);
+    updateTimer();
+  };
+  
+  const handlePointerEnter = pause('hover');
+  const handlePointerLeave = resume('hover');
+  const handleFocusIn = pause('focus');
+  const handleFocusOut = (event) => {
+    // Stay paused while focus moves within the container
+    if (!container.contains(event.relatedTarget)) resume('focus')();
+  };
+  const handleVisibilityChange = () => {
+    (document.hidden ? pause('hidden') : resume('hidden'))();
+  };
+  const handleReducedMotionChange = () => {
+    (reducedMotion.matches ? pause('reduced-motion') : resume('reduced-motion'))();
+  };
+  
+  container.addEventListener('pointerenter', handlePointerEnter);
+  container.addEventListener('pointerleave', handlePointerLeave);
+  container.addEventListener('focusin', handleFocusIn);
+  container.addEventListener('focusout', handleFocusOut);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  if (reducedMotion) {
+    reducedMotion.addEventListener('change', handleReducedMotionChange);
+    if (reducedMotion.matches) pauseReasons.add('reduced-motion');
+  }
+  
+  updateTimer();
+  
+  log(`Autoplay setup: every ${config.AUTOPLAY.INTERVAL}ms${config.AUTOPLAY.LOOP ? ', looping' : ''}`, 'log', container);
+  
+  // Return cleanup function
+  return () => {
+    if (interval !== null) clearInterval(interval);
+    container.removeEventListener('pointerenter', handlePointerEnter);
+    container.removeEventListener('pointerleave', handlePointerLeave);
+    container.removeEventListener('focusin', handleFocusIn);
+    container.removeEventListener('focusout', handleFocusOut);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    if (reducedMotion) {
+      reducedMotion.removeEventListener('change', handleReducedMotionChange);
+    }
+  };
+}
\ No newline at end of file
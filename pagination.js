@@ -0,0 +1,175 @@
+import { CONFIG, ATTRIBUTES } from './config.js';
+import { log, getPrimaryAxis, getTargetScrollPosition, getMaxScroll, getItemOffsets, getScrollPaddingStart, isAtEnd, isPageScroller, formatTemplate, debounce } from './utils.js';
+import { navigate } from './events.js';
+
+/**
+ * Validate pagination mode attribute
+ * Empty means one button per item
+ */
+export function validatePaginationMode(element) {
+  const mode = (element.getAttribute(ATTRIBUTES.PAGINATION) || '').trim().toLowerCase();
+  
+  if (mode === '') {
+    return 'item';
+  }
+  
+  if (!['item', 'page'].includes(mode)) {
+    log(`Invalid pagination mode "${mode}". Must be "item" or "page"`, 'warn', element, 'invalid-pagination-mode');
+    return null;
+  }
+  
+  return mode;
+}
+
+/**
+ * Get the indexes of the items that start each page
+ * A page ends at the first item that doesn't fully fit after the page's
+ * first item. Items that can't be scrolled to the start edge share the last page.
+ */
+function getPageStarts(items, viewportSize, maxScroll) {
+  const starts = [];
+  let pageEnd = -Infinity;
+  
+  items.forEach((item, index) => {
+    if (item.end <= pageEnd + 1) return;
+    if (starts.length > 0 && items[starts[starts.length - 1]].start >= maxScroll) return;
+    
+    starts.push(index);
+    pageEnd = item.start + viewportSize;
+  });
+  
+  return starts;
+}
+
+/**
+ * Setup pagination elements for a scrollable element
+ * Each pagination element is filled with one button per item (or per page of
+ * items), the button of the current item is marked active and clicking a
+ * button scrolls its item to the start edge.
+ * Only called when the scrollable element has pagination elements.
+ */
+export function setupPagination(container, scrollableElement, paginationElements, direction, config = CONFIG) {
+  const axis = getPrimaryAxis(direction);
+  const entries = Array.from(paginationElements)
+    .map(element => ({ element, mode: validatePaginationMode(element), targets: [], buttons: [] }))
+    .filter(entry => entry.mode);
+  
+  // Visible share of each item, reported by the intersection observer
+  const visibleRatios = new Map();
+  let items = [];
+  
+  const scrollToItem = (item, button) => {
+    // Navigation continues from a running animation's target, so measure from there too
+    const distance = item.start - getScrollPaddingStart(scrollableElement, axis) - getTargetScrollPosition(scrollableElement, axis);
+    if (Math.abs(distance) < 1) return;
+    
+    // Navigate along the primary axis only, like a click target would
+    navigate(container, scrollableElement, axis, `${Math.abs(distance)}px`, distance < 0 ? 'start' : 'end', config, button);
+  };
+  
+  const updateActive = () => {
+    // The first mostly visible item is the current one
+    const firstVisible = items.findIndex(item => (visibleRatios.get(item.element) || 0) >= 0.5);
+    if (firstVisible === -1) return;
+    
+    entries.forEach(({ mode, targets, buttons }) => {
+      let activeIndex = targets.reduce((active, itemIndex, index) => (itemIndex <= firstVisible ? index : active), 0);
+      
+      // The last page can start before its first item reaches the start edge
+      if (mode === 'page' && isAtEnd(scrollableElement, axis, config)) {
+        activeIndex = targets.length - 1;
+      }
+      
+      buttons.forEach((button, index) => {
+        const active = index === activeIndex;
+        button.classList.toggle(config.CSS_CLASSES.ACTIVE, active);
+        if (active) {
+          button.setAttribute('aria-current', 'true');
+        } else {
+          button.removeAttribute('aria-current');
+        }
+      });
+    });
+  };
+  
+  const intersectionObserver = window.IntersectionObserver
+    ? new IntersectionObserver(observerEntries => {
+      observerEntries.forEach(entry => visibleRatios.set(entry.target, entry.intersectionRatio));
+      updateActive();
+    }, {
+      root: isPageScroller(scrollableElement) ? null : scrollableElement,
+      threshold: [0, 0.5, 1]
+    })
+    : null;
+  
+  if (!intersectionObserver) {
+    log('IntersectionObserver not supported, pagination will not mark the current item', 'warn', container);
+  }
+  
+  const render = () => {
+    items = getItemOffsets(scrollableElement, axis);
+    const viewportSize = axis === 'horizontal' ? scrollableElement.clientWidth : scrollableElement.clientHeight;
+    const maxScroll = getMaxScroll(scrollableElement, axis);
+    
+    entries.forEach(entry => {
+      const targets = entry.mode === 'page'
+        ? getPageStarts(items, viewportSize, maxScroll)
+        : items.map((item, index) => index);
+      
+      // Keep the buttons if nothing changed, so focus isn't lost
+      if (targets.join() === entry.targets.join() && entry.buttons.length === targets.length) return;
+      
+      entry.buttons.forEach(button => button.remove());
+      entry.targets = targets;
+      entry.buttons = targets.map((itemIndex, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.setAttribute('aria-label', formatTemplate(config.PAGINATION_LABELS[entry.mode.toUpperCase()], {
+          index: index + 1,
+          total: targets.length
+        }));
+        button.addEventListener('click', () => scrollToItem(items[itemIndex], button));
+        entry.element.appendChild(button);
+        return button;
+      });
+    });
+    
+    if (intersectionObserver) {
+      intersectionObserver.disconnect();
+      visibleRatios.clear();
+      items.forEach(item => intersectionObserver.observe(item.element));
+    }
+  };
+  
+  render();
+  
+  // Rebuild when items are added or removed, or pages change size
+  const debouncedRender = debounce(render, 150);
+  
+  const mutationObserver = window.MutationObserver ? new MutationObserver(debouncedRender) : null;
+  if (mutationObserver) {
+    mutationObserver.observe(scrollableElement, { childList: true });
+  }
+  
+  const resizeObserver = window.ResizeObserver ? new ResizeObserver(debouncedRender) : null;
+  if (resizeObserver) {
+    resizeObserver.observe(scrollableElement);
+  } else {
+    window.addEventListener('resize', debouncedRender);
+  }
+  
+  log(`Pagination setup for ${entries.length} pagination elements, ${items.length} items`, 'log', container);
+  
+  // Return cleanup function
+  return () => {
+    debouncedRender.cancel();
+    if (intersectionObserver) intersectionObserver.disconnect();
+    if (mutationObserver) mutationObserver.disconnect();
+    if (resizeObserver) {
+      resizeObserver.disconnect();
+    } else {
+      window.removeEventListener('resize', debouncedRender);
+    }
+    entries.forEach(({ buttons }) => buttons.forEach(button => button.remove()));
+  };
+}
\ No newline at end of file
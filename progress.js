@@ -0,0 +1,145 @@
+import { CONFIG, ATTRIBUTES } from './config.js';
+import { log, getAxes, getPrimaryAxis, snapshotAttributes } from './utils.js';
+
+/**
+ * Progress elements per scrollable element and container, registered by setupProgressElements
+ * Containers following the page scroller share its element, so each has its own entry.
+ */
+const progressRegistry = new WeakMap();
+
+/**
+ * Axis suffixes for the per-axis custom properties written for "both"
+ */
+const AXIS_SUFFIXES = {
+  horizontal: '-x',
+  vertical: '-y'
+};
+
+/**
+ * Validate progress element mode attribute
+ * Empty means width for horizontal scrolling and height otherwise
+ */
+export function validateProgressMode(element, direction) {
+  const mode = (element.getAttribute(ATTRIBUTES.PROGRESS) || '').trim().toLowerCase();
+  
+  if (mode === '') {
+    return direction === 'horizontal' ? 'width' : 'height';
+  }
+  
+  if (!['width', 'height', 'aria'].includes(mode)) {
+    log(`Invalid progress mode "${mode}". Must be "width", "height" or "aria"`, 'warn', element, 'invalid-progress-mode');
+    return null;
+  }
+  
+  return mode;
+}
+
+/**
+ * Write the scroll state custom properties on the container
+ */
+function writeCustomProperties(container, state, direction) {
+  const write = (suffix, axisState) => {
+    container.style.setProperty(`${CONFIG.CSS_PROPERTIES.PROGRESS}${suffix}`, Number(axisState.progress.toFixed(4)));
+    container.style.setProperty(`${CONFIG.CSS_PROPERTIES.DISTANCE_START}${suffix}`, Math.round(axisState.scrollPosition));
+    container.style.setProperty(`${CONFIG.CSS_PROPERTIES.DISTANCE_END}${suffix}`, Math.round(axisState.maxScroll - axisState.scrollPosition));
+  };
+  
+  write('', state);
+  
+  if (direction === 'both') {
+    getAxes(direction).forEach(axis => write(AXIS_SUFFIXES[axis], state[axis]));
+  }
+}
+
+/**
+ * Remove the scroll state custom properties from the container
+ */
+function removeCustomProperties(container, direction) {
+  const suffixes = direction === 'both' ? ['', ...Object.values(AXIS_SUFFIXES)] : [''];
+  
+  suffixes.forEach(suffix => {
+    Object.values(CONFIG.CSS_PROPERTIES).forEach(property => {
+      container.style.removeProperty(`${property}${suffix}`);
+    });
+  });
+}
+
+/**
+ * Setup progress elements for a scrollable element
+ * Custom properties are written on the container for its primary scroller only.
+ * Returns a cleanup function that restores the progress elements and container
+ */
+export function setupProgressElements(container, scrollableElement, progressElements, direction, primary = true) {
+  const entries = [];
+  
+  Array.from(progressElements).forEach(element => {
+    const mode = validateProgressMode(element, direction);
+    if (!mode) return;
+    
+    // For "both", width follows the horizontal axis and height the vertical one
+    let axis = getPrimaryAxis(direction);
+    if (direction === 'both' && mode !== 'aria') {
+      axis = mode === 'width' ? 'horizontal' : 'vertical';
+    }
+    
+    // Restore what the author set on the element before setup
+    const restoreAttributes = snapshotAttributes(element, ['role', 'aria-valuemin', 'aria-valuemax', 'aria-valuenow']);
+    const originalStyle = mode === 'aria' ? null : {
+      value: element.style.getPropertyValue(mode),
+      priority: element.style.getPropertyPriority(mode)
+    };
+    
+    if (!element.hasAttribute('role')) {
+      element.setAttribute('role', 'progressbar');
+    }
+    element.setAttribute('aria-valuemin', '0');
+    element.setAttribute('aria-valuemax', '100');
+    
+    entries.push({ element, mode, axis, restoreAttributes, originalStyle });
+  });
+  
+  const registrations = progressRegistry.get(scrollableElement) || new Map();
+  registrations.set(container, { entries, direction, primary });
+  progressRegistry.set(scrollableElement, registrations);
+  
+  if (entries.length > 0) {
+    log(`Progress setup for ${entries.length} progress elements`, 'log', container);
+  }
+  
+  // Return cleanup function
+  return () => {
+    entries.forEach(({ element, mode, restoreAttributes, originalStyle }) => {
+      if (originalStyle) {
+        element.style.removeProperty(mode);
+        if (originalStyle.value) element.style.setProperty(mode, originalStyle.value, originalStyle.priority);
+      }
+      restoreAttributes();
+    });
+    
+    if (primary) removeCustomProperties(container, direction);
+    registrations.delete(container);
+    if (registrations.size === 0) progressRegistry.delete(scrollableElement);
+  };
+}
+
+/**
+ * Update custom properties and progress elements from the scroll state
+ */
+export function updateProgress(container, scrollableElement, state) {
+  const registrations = progressRegistry.get(scrollableElement);
+  const registered = registrations ? registrations.get(container) : null;
+  if (!registered) return;
+  
+  if (registered.primary) {
+    writeCustomProperties(container, state, registered.direction);
+  }
+  
+  registered.entries.forEach(({ element, mode, axis }) => {
+    const percentage = Math.round(state[axis].progress * 100);
+    
+    element.setAttribute('aria-valuenow', percentage);
+    if (mode !== 'aria') {
+      element.style.setProperty(mode, `${percentage}%`);
+    }
+  });
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { log } from './utils.js';
+
+/**
+ * Read callbacks waiting for the next frame
+ * A set, so a callback requested several times in a frame runs once
+ */
+const pendingReads = new Set();
+
+let frameId = null;
+
+/**
+ * Run a callback, logging instead of throwing so one container can't stop the others
+ */
+function runSafely(callback) {
+  try {
+    return callback();
+  } catch (error) {
+    log(`Error updating scroll indicators: ${error.message}`, 'error');
+    return null;
+  }
+}
+
+/**
+ * Run all pending reads, then the writes they returned
+ * Measuring everything before changing anything lets the browser compute
+ * layout once per frame, however many containers update.
+ */
+function flush() {
+  frameId = null;
+  
+  const reads = Array.from(pendingReads);
+  pendingReads.clear();
+  
+  const writes = reads.map(read => runSafely(read)).filter(write => typeof write === 'function');
+  writes.forEach(write => runSafely(write));
+}
+
+/**
+ * Request a read callback in the next animation frame, shared by all containers
+ * The read should only measure layout and may return a write function that
+ * changes the DOM, which runs after every read of that frame.
+ */
+export function scheduleFrame(read) {
+  pendingReads.add(read);
+  
+  if (frameId === null) {
+    frameId = requestAnimationFrame(flush);
+  }
+}
+
+/**
+ * Cancel a read requested with scheduleFrame that hasn't run yet
+ */
+export function cancelFrame(read) {
+  pendingReads.delete(read);
+  
+  if (pendingReads.size === 0 && frameId !== null) {
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  }
+}
\ No newline at end of file
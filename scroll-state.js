@@ -0,0 +1,106 @@
+import { CONFIG } from './config.js';
+import { log, getAxes, getScrollEventTarget, isScrollDriven } from './utils.js';
+
+/**
+ * Elements receiving state classes per scrollable element and container, registered by setupStateClasses
+ * Containers following the page scroller share its element, so each has its own entry.
+ */
+const stateRegistry = new WeakMap();
+
+/**
+ * Get the state class names from a configuration
+ */
+function getStateClasses(config) {
+  const { OVERFLOWING, NOT_OVERFLOWING, AT_START, AT_END, SCROLLING } = config.CSS_CLASSES;
+  return [OVERFLOWING, NOT_OVERFLOWING, AT_START, AT_END, SCROLLING];
+}
+
+/**
+ * Setup state classes on a scrollable element, and on its container for the primary scroller
+ * Overflow and edge classes follow the scroll state; the scrolling class is
+ * set on scroll and removed on scrollend, or after SCROLL_END_TIMEOUT without
+ * scroll events in browsers without scrollend.
+ * Returns a cleanup function that removes the classes
+ */
+export function setupStateClasses(container, scrollableElement, primary = true, config = CONFIG) {
+  const elements = primary ? [scrollableElement, container] : [scrollableElement];
+  const entry = { elements, config, key: '' };
+  const registrations = stateRegistry.get(scrollableElement) || new Map();
+  registrations.set(container, entry);
+  stateRegistry.set(scrollableElement, registrations);
+  
+  let scrollEndTimeout = null;
+  
+  const setScrolling = (scrolling) => {
+    if (scrolling) {
+      elements.forEach(element => element.classList.add(config.CSS_CLASSES.SCROLLING));
+    } else {
+      elements.forEach(element => element.classList.remove(config.CSS_CLASSES.SCROLLING));
+    }
+  };
+  
+  const endScrolling = () => {
+    clearTimeout(scrollEndTimeout);
+    scrollEndTimeout = null;
+    setScrolling(false);
+  };
+  
+  const handleScroll = () => {
+    if (scrollEndTimeout === null) setScrolling(true);
+    
+    // Fallback for browsers without scrollend, and for scrolling driven frame by frame
+    clearTimeout(scrollEndTimeout);
+    scrollEndTimeout = setTimeout(endScrolling, config.SCROLL_END_TIMEOUT);
+  };
+  
+  const handleScrollEnd = () => {
+    // Animations, drags and holds scroll instantly every frame, each ending with scrollend
+    if (isScrollDriven(scrollableElement)) return;
+    endScrolling();
+  };
+  
+  const scrollEventTarget = getScrollEventTarget(scrollableElement);
+  scrollEventTarget.addEventListener('scroll', handleScroll, { passive: true });
+  scrollEventTarget.addEventListener('scrollend', handleScrollEnd);
+  
+  log(`State classes setup for ${primary ? 'the container and ' : ''}scrollable element`, 'log', scrollableElement);
+  
+  // Return cleanup function
+  return () => {
+    clearTimeout(scrollEndTimeout);
+    scrollEventTarget.removeEventListener('scroll', handleScroll);
+    scrollEventTarget.removeEventListener('scrollend', handleScrollEnd);
+    registrations.delete(container);
+    
+    // A shared page scroller keeps its classes while other containers still use it
+    const sharedWithOthers = registrations.size > 0;
+    if (!sharedWithOthers) stateRegistry.delete(scrollableElement);
+    
+    elements
+      .filter(element => !(sharedWithOthers && element === scrollableElement))
+      .forEach(element => element.classList.remove(...getStateClasses(config)));
+  };
+}
+
+/**
+ * Update the overflow and edge classes from the scroll state
+ * Classes are only written when one of them changes.
+ */
+export function updateStateClasses(container, scrollableElement, state) {
+  const registrations = stateRegistry.get(scrollableElement);
+  const entry = registrations ? registrations.get(container) : null;
+  if (!entry) return;
+  
+  const overflowing = getAxes(state.direction).some(axis => state[axis].maxScroll > 0);
+  const key = [overflowing, state.atStart, state.atEnd].join();
+  if (key === entry.key) return;
+  entry.key = key;
+  
+  const classes = entry.config.CSS_CLASSES;
+  entry.elements.forEach(element => {
+    element.classList.toggle(classes.OVERFLOWING, overflowing);
+    element.classList.toggle(classes.NOT_OVERFLOWING, !overflowing);
+    element.classList.toggle(classes.AT_START, state.atStart);
+    element.classList.toggle(classes.AT_END, state.atEnd);
+  });
+}
\ No newline at end of file
@@ -1,10 +1,43 @@
-import { CONFIG, ATTRIBUTES } from './config.js';
+import { CONFIG, ATTRIBUTES, EASINGS } from './config.js';
+
+/**
+ * Log levels from quietest to most verbose
+ */
+const LOG_LEVELS = ['silent', 'error', 'warn', 'log'];
+
+/**
+ * Issue lists of the running collectIssues calls, innermost last
+ */
+const issueCollectors = [];
+
+/**
+ * Check if the DOM is available, which it isn't during server-side rendering
+ */
+export function hasDOM() {
+  return typeof window !== 'undefined' && typeof document !== 'undefined';
+}
 
 /**
  * Debug logging utility
+ * Messages more verbose than CONFIG.LOG_LEVEL are dropped, unless CONFIG.DEBUG
+ * is on. Warnings and errors can carry a machine-readable code for validation.
  */
-export function log(message, type = 'log', element = null) {
-  if (!CONFIG.DEBUG) return;
+export function log(message, type = 'log', element = null, code = null) {
+  // Collect warnings and errors instead of logging them while validating
+  if (issueCollectors.length > 0) {
+    if (type !== 'log') {
+      issueCollectors[issueCollectors.length - 1].push({ code, level: type, message, element });
+    }
+    return;
+  }
+  
+  const level = CONFIG.DEBUG ? 'log' : CONFIG.LOG_LEVEL;
+  if (LOG_LEVELS.indexOf(type) > LOG_LEVELS.indexOf(level)) return;
+  
+  if (typeof CONFIG.LOGGER === 'function') {
+    CONFIG.LOGGER({ level: type, message, element, code });
+    return;
+  }
   
   const prefix = '[Scroll Indicators]';
   const elementInfo = element ? `\nElement:` : '';
@@ -17,60 +50,375 @@ export function log(message, type = 'log', element = null) {
 }
 
 /**
- * Find all scroll indicator containers in the DOM
+ * Run a function and return the warnings and errors it logged, instead of logging them
+ * Each issue has a code (null for runtime-only messages), level, message and element
+ */
+export function collectIssues(callback) {
+  const issues = [];
+  issueCollectors.push(issues);
+  
+  try {
+    callback();
+  } finally {
+    issueCollectors.pop();
+  }
+  
+  return issues;
+}
+
+/**
+ * Dispatch a custom event on a container
+ * Returns false if a cancelable event was cancelled
+ */
+export function dispatchScrollEvent(container, name, detail = {}, cancelable = false) {
+  const event = new CustomEvent(name, {
+    bubbles: true,
+    cancelable,
+    detail
+  });
+  
+  return container.dispatchEvent(event);
+}
+
+/**
+ * Read a container setting from the JS options, falling back to its data attribute
+ * Returns null when neither is set
+ */
+function readContainerSetting(container, options, optionKey, attribute) {
+  if (options[optionKey] !== undefined && options[optionKey] !== null) {
+    return String(options[optionKey]).trim();
+  }
+  
+  const value = container.getAttribute(attribute);
+  return value === null || value.trim() === '' ? null : value.trim();
+}
+
+/**
+ * Build the configuration for a single container
+ * The global CONFIG is overridden by the container's data attributes, which
+ * are in turn overridden by the JS options passed to createScrollIndicators.
+ */
+export function getContainerConfig(container, options = {}) {
+  const config = {
+    ...CONFIG,
+    CSS_CLASSES: { ...CONFIG.CSS_CLASSES },
+    DEFAULT_SCROLL: { ...CONFIG.DEFAULT_SCROLL },
+    HOLD: { ...CONFIG.HOLD },
+    DRAG: { ...CONFIG.DRAG },
+    AUTOPLAY: { ...CONFIG.AUTOPLAY },
+    ANIMATION: { ...CONFIG.ANIMATION }
+  };
+  
+  const behavior = readContainerSetting(container, options, 'behavior', ATTRIBUTES.BEHAVIOR);
+  if (behavior !== null) {
+    if (['smooth', 'auto', 'instant'].includes(behavior.toLowerCase())) {
+      config.SCROLL_BEHAVIOR = behavior.toLowerCase();
+    } else {
+      log(`Invalid behavior "${behavior}". Must be "smooth", "auto" or "instant". Using ${config.SCROLL_BEHAVIOR}.`, 'warn', container, 'invalid-behavior');
+    }
+  }
+  
+  const threshold = readContainerSetting(container, options, 'threshold', ATTRIBUTES.THRESHOLD);
+  if (threshold !== null) {
+    // Relative units would differ per axis and per scroller, so the container threshold is in pixels only
+    if (/^\d*\.?\d+(px)?$/.test(threshold.toLowerCase())) {
+      config.SCROLL_THRESHOLD = parseFloat(threshold);
+    } else {
+      log(`Invalid threshold "${threshold}". Must be a number of pixels. Using ${config.SCROLL_THRESHOLD}.`, 'warn', container, 'invalid-threshold');
+    }
+  }
+  
+  const defaultDistance = readContainerSetting(container, options, 'defaultDistance', ATTRIBUTES.DEFAULT_DISTANCE);
+  if (defaultDistance !== null) {
+    if (isValidScrollAmount(defaultDistance)) {
+      config.DEFAULT_SCROLL.FIXED_AMOUNT = defaultDistance;
+    } else {
+      log(`Invalid default distance "${defaultDistance}". Must be px, rem, em, %, "end", "item", "N items" or "page". Using ${config.DEFAULT_SCROLL.FIXED_AMOUNT}.`, 'warn', container, 'invalid-default-distance');
+    }
+  }
+  
+  const scrollToEnd = readContainerSetting(container, options, 'scrollToEnd', ATTRIBUTES.SCROLL_TO_END);
+  if (scrollToEnd !== null) {
+    config.DEFAULT_SCROLL.SCROLL_TO_END = scrollToEnd.toLowerCase() === 'true';
+  }
+  
+  const classes = {
+    VISIBLE: readContainerSetting(container, options, 'visibleClass', ATTRIBUTES.VISIBLE_CLASS),
+    HIDDEN: readContainerSetting(container, options, 'hiddenClass', ATTRIBUTES.HIDDEN_CLASS),
+    IS_CLICK_TARGET: readContainerSetting(container, options, 'clickTargetClass', ATTRIBUTES.CLICK_TARGET_CLASS)
+  };
+  
+  Object.keys(classes).forEach(key => {
+    if (classes[key] !== null) config.CSS_CLASSES[key] = classes[key];
+  });
+  
+  const announce = readContainerSetting(container, options, 'announce', ATTRIBUTES.ANNOUNCE);
+  if (announce !== null) {
+    config.ANNOUNCE = announce.toLowerCase() === 'true';
+  }
+  
+  // Autoplay: present (or true) enables it, a number sets the interval
+  const hasAutoplayOption = options.autoplay !== undefined && options.autoplay !== null;
+  const autoplay = hasAutoplayOption ? String(options.autoplay).trim() : container.getAttribute(ATTRIBUTES.AUTOPLAY);
+  if (autoplay !== null && autoplay.toLowerCase() === 'false') {
+    config.AUTOPLAY.ENABLED = false;
+  } else if (autoplay !== null) {
+    config.AUTOPLAY.ENABLED = true;
+    
+    const interval = parseFloat(autoplay);
+    if (!isNaN(interval) && interval > 0) {
+      config.AUTOPLAY.INTERVAL = interval;
+    } else if (autoplay !== '' && autoplay.toLowerCase() !== 'true') {
+      log(`Invalid autoplay interval "${autoplay}". Must be milliseconds. Using ${config.AUTOPLAY.INTERVAL}.`, 'warn', container, 'invalid-autoplay');
+    }
+  }
+  
+  const autoplayLoop = readContainerSetting(container, options, 'autoplayLoop', ATTRIBUTES.AUTOPLAY_LOOP);
+  if (autoplayLoop !== null) {
+    config.AUTOPLAY.LOOP = autoplayLoop.toLowerCase() === 'true';
+  }
+  
+  // Animation: present (or true) enables the JS engine, a number sets the duration
+  const hasAnimationOption = options.animation !== undefined && options.animation !== null;
+  const animation = hasAnimationOption ? String(options.animation).trim() : container.getAttribute(ATTRIBUTES.ANIMATION);
+  if (animation !== null && animation.toLowerCase() === 'false') {
+    config.ANIMATION.ENABLED = false;
+  } else if (animation !== null) {
+    config.ANIMATION.ENABLED = true;
+    
+    const duration = parseFloat(animation);
+    if (!isNaN(duration) && duration >= 0) {
+      config.ANIMATION.DURATION = duration;
+    } else if (animation !== '' && animation.toLowerCase() !== 'true') {
+      log(`Invalid animation duration "${animation}". Must be milliseconds. Using ${config.ANIMATION.DURATION}.`, 'warn', container, 'invalid-animation');
+    }
+  }
+  
+  // Easing: a name from EASINGS, or a function passed as an option
+  if (typeof options.easing === 'function') {
+    config.ANIMATION.EASING = options.easing;
+  } else {
+    const easing = readContainerSetting(container, options, 'easing', ATTRIBUTES.EASING);
+    if (easing !== null && EASINGS[easing.toLowerCase()]) {
+      config.ANIMATION.EASING = easing.toLowerCase();
+    } else if (easing !== null) {
+      log(`Invalid easing "${easing}". Must be one of ${Object.keys(EASINGS).join(', ')}. Using ${config.ANIMATION.EASING}.`, 'warn', container, 'invalid-easing');
+    }
+  }
+  
+  return config;
+}
+
+/**
+ * Record the current values of attributes on an element
+ * Returns a function that restores them, removing attributes that didn't exist
+ */
+export function snapshotAttributes(element, names) {
+  const originals = names.map(name => [name, element.getAttribute(name)]);
+  
+  return () => {
+    originals.forEach(([name, value]) => {
+      if (value === null) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+    });
+  };
+}
+
+let generatedIdCount = 0;
+
+/**
+ * Make sure an element has an id, generating one if needed
+ */
+export function ensureId(element, prefix) {
+  if (!element.id) {
+    generatedIdCount++;
+    element.id = `${prefix}-${generatedIdCount}`;
+  }
+  return element.id;
+}
+
+/**
+ * Find all scroll indicator containers within a root: an element, a document
+ * or a shadow root (containers in other shadow roots inside it are not included)
+ */
+export function findScrollContainers(root = document) {
+  const containerSelector = `[${ATTRIBUTES.CONTAINER.replace('="container"', '')}="container"]`;
+  const containers = Array.from(root.querySelectorAll(containerSelector));
+  
+  // An element root can be a container itself
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(containerSelector)) {
+    containers.unshift(root);
+  }
+  
+  return containers;
+}
+
+/**
+ * Find the elements matching a selector that belong to a container
+ * Elements inside a nested container belong to that container instead.
  */
-export function findScrollContainers() {
-  return document.querySelectorAll(`[${ATTRIBUTES.CONTAINER.replace('="container"', '')}="container"]`);
+function findOwnElements(container, selector) {
+  const containerSelector = `[${ATTRIBUTES.CONTAINER.replace('="container"', '')}="container"]`;
+  return Array.from(container.querySelectorAll(selector))
+    .filter(element => element.closest(containerSelector) === container);
 }
 
 /**
- * Find the scrollable element within a container
+ * Find the scrollable elements within a container, in document order
+ * The first one is the container's primary scroller
  */
-export function findScrollableElement(container) {
-  const scrollableElements = container.querySelectorAll(`[${ATTRIBUTES.DIRECTION}]`);
+export function findScrollableElements(container, scroller = container.getAttribute(ATTRIBUTES.SCROLLER)) {
+  // The page itself can be the scroller, e.g. for "back to top" indicators
+  if (scroller && scroller.trim() !== '') {
+    if (scroller.trim().toLowerCase() === 'window') {
+      return [getPageScroller()];
+    }
+    log(`Invalid scroller "${scroller}". Must be "window". Looking for a scrollable element instead.`, 'warn', container, 'invalid-scroller');
+  }
+  
+  const scrollableElements = findOwnElements(container, `[${ATTRIBUTES.DIRECTION}]`);
   
   if (scrollableElements.length === 0) {
-    log(`Container has no scrollable element with ${ATTRIBUTES.DIRECTION} attribute`, 'warn', container);
+    // Direction on <html> or <body> makes the page the scroller
+    if (getPageDirectionElement()) {
+      return [getPageScroller()];
+    }
+    
+    log(`Container has no scrollable element with ${ATTRIBUTES.DIRECTION} attribute`, 'warn', container, 'missing-scrollable');
+    return [];
+  }
+  
+  return scrollableElements;
+}
+
+/**
+ * Get the scrollable element an indicator, click target, progress or pagination element belongs to
+ * Elements reference a scrollable element by id with the for attribute, and
+ * belong to the primary (first) scroller otherwise. Returns null for unknown ids.
+ */
+export function findOwningScroller(element, scrollableElements) {
+  const id = (element.getAttribute(ATTRIBUTES.FOR) || '').trim();
+  if (id === '') {
+    return scrollableElements[0];
+  }
+  
+  const scrollableElement = scrollableElements.find(scrollable => scrollable.id === id);
+  if (!scrollableElement) {
+    log(`No scrollable element with id "${id}" in this container`, 'warn', element, 'unknown-scroller');
     return null;
   }
   
-  if (scrollableElements.length > 1) {
-    log(`Container has multiple scrollable elements. Using the first one.`, 'warn', container);
+  return scrollableElement;
+}
+
+/**
+ * Get the element that scrolls the page
+ * Its scroll metrics are the window's: scrollTop is window.scrollY and
+ * clientHeight is the viewport height
+ */
+export function getPageScroller() {
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Check if an element is the page scroller
+ */
+export function isPageScroller(element) {
+  return element === getPageScroller() || element === document.documentElement || element === document.body;
+}
+
+/**
+ * Get <html> or <body>, whichever carries the direction attribute for the page
+ */
+function getPageDirectionElement() {
+  return [document.documentElement, document.body].find(element => element && element.hasAttribute(ATTRIBUTES.DIRECTION)) || null;
+}
+
+/**
+ * Get the direction attribute of a scrollable element
+ * The page scroller reads it from <html> or <body> and defaults to vertical
+ */
+export function getDirectionAttribute(element) {
+  if (isPageScroller(element)) {
+    const directionElement = getPageDirectionElement();
+    return directionElement ? directionElement.getAttribute(ATTRIBUTES.DIRECTION) : 'vertical';
   }
   
-  return scrollableElements[0];
+  return element.getAttribute(ATTRIBUTES.DIRECTION);
+}
+
+/**
+ * Get the target of scroll events for a scrollable element
+ * The page scroller doesn't fire scroll events itself, the window does
+ */
+export function getScrollEventTarget(element) {
+  return isPageScroller(element) ? window : element;
 }
 
 /**
  * Find all indicator elements within a container
  */
 export function findIndicators(container) {
-  return container.querySelectorAll(`[${ATTRIBUTES.POSITION}]`);
+  return findOwnElements(container, `[${ATTRIBUTES.POSITION}]`);
 }
 
 /**
  * Find all click target elements within a container
  */
 export function findClickTargets(container) {
-  return container.querySelectorAll(`[${ATTRIBUTES.CLICK_TARGET}]`);
+  return findOwnElements(container, `[${ATTRIBUTES.CLICK_TARGET}]`);
+}
+
+/**
+ * Logical positions and the physical positions mapped onto each axis
+ */
+const VALID_POSITIONS = ['start', 'end', 'top', 'bottom', 'left', 'right'];
+
+const PHYSICAL_POSITIONS = {
+  left: { axis: 'horizontal', edge: 'start' },
+  right: { axis: 'horizontal', edge: 'end' },
+  top: { axis: 'vertical', edge: 'start' },
+  bottom: { axis: 'vertical', edge: 'end' }
+};
+
+/**
+ * Find all progress elements within a container
+ */
+export function findProgressElements(container) {
+  return findOwnElements(container, `[${ATTRIBUTES.PROGRESS}]`);
+}
+
+/**
+ * Find all pagination elements within a container
+ */
+export function findPaginationElements(container) {
+  return findOwnElements(container, `[${ATTRIBUTES.PAGINATION}]`);
 }
 
 /**
  * Validate click target position attribute
+ * When a direction is given, physical positions must match one of its axes
  */
-export function validateClickTargetPosition(clickTarget) {
+export function validateClickTargetPosition(clickTarget, direction = null) {
   const position = clickTarget.getAttribute(ATTRIBUTES.CLICK_TARGET);
   
   if (!position || position.trim() === '') {
-    log(`Click target missing ${ATTRIBUTES.CLICK_TARGET} attribute`, 'warn', clickTarget);
+    log(`Click target missing ${ATTRIBUTES.CLICK_TARGET} attribute`, 'warn', clickTarget, 'missing-position');
     return null;
   }
   
-  const validPositions = ['start', 'end'];
   const trimmedPosition = position.trim().toLowerCase();
   
-  if (!validPositions.includes(trimmedPosition)) {
-    log(`Invalid click target position "${position}". Must be "start" or "end"`, 'warn', clickTarget);
+  if (!VALID_POSITIONS.includes(trimmedPosition)) {
+    log(`Invalid click target position "${position}". Must be "start", "end", "top", "bottom", "left" or "right"`, 'warn', clickTarget, 'invalid-position');
+    return null;
+  }
+  
+  if (direction && resolvePosition(trimmedPosition, direction).length === 0) {
+    log(`Click target position "${position}" does not match ${direction} scrolling`, 'warn', clickTarget, 'position-mismatch');
     return null;
   }
   
@@ -78,21 +426,19 @@ export function validateClickTargetPosition(clickTarget) {
 }
 
 /**
- * Validate scroll direction attribute
+ * Validate scroll direction attribute, or an explicit direction value
  */
-export function validateDirection(element) {
-  const direction = element.getAttribute(ATTRIBUTES.DIRECTION);
-  
+export function validateDirection(element, direction = getDirectionAttribute(element)) {
   if (!direction || direction.trim() === '') {
-    log(`Scrollable element missing ${ATTRIBUTES.DIRECTION} attribute`, 'error', element);
+    log(`Scrollable element missing ${ATTRIBUTES.DIRECTION} attribute`, 'error', element, 'missing-direction');
     return null;
   }
   
-  const validDirections = ['horizontal', 'vertical'];
+  const validDirections = ['horizontal', 'vertical', 'both'];
   const trimmedDirection = direction.trim().toLowerCase();
   
   if (!validDirections.includes(trimmedDirection)) {
-    log(`Invalid direction "${direction}". Must be "horizontal" or "vertical"`, 'error', element);
+    log(`Invalid direction "${direction}". Must be "horizontal", "vertical" or "both"`, 'error', element, 'invalid-direction');
     return null;
   }
   
@@ -101,53 +447,327 @@ export function validateDirection(element) {
 
 /**
  * Validate indicator position attribute
+ * When a direction is given, physical positions must match one of its axes
  */
-export function validatePosition(indicator) {
+export function validatePosition(indicator, direction = null) {
   const position = indicator.getAttribute(ATTRIBUTES.POSITION);
   
   if (!position || position.trim() === '') {
-    log(`Indicator missing ${ATTRIBUTES.POSITION} attribute`, 'warn', indicator);
+    log(`Indicator missing ${ATTRIBUTES.POSITION} attribute`, 'warn', indicator, 'missing-position');
     return null;
   }
   
-  const validPositions = ['start', 'end'];
   const trimmedPosition = position.trim().toLowerCase();
   
-  if (!validPositions.includes(trimmedPosition)) {
-    log(`Invalid position "${position}". Must be "start" or "end"`, 'warn', indicator);
+  if (!VALID_POSITIONS.includes(trimmedPosition)) {
+    log(`Invalid position "${position}". Must be "start", "end", "top", "bottom", "left" or "right"`, 'warn', indicator, 'invalid-position');
+    return null;
+  }
+  
+  if (direction && resolvePosition(trimmedPosition, direction).length === 0) {
+    log(`Position "${position}" does not match ${direction} scrolling`, 'warn', indicator, 'position-mismatch');
     return null;
   }
   
   return trimmedPosition;
 }
 
+/**
+ * Get the axes tracked for a scroll direction
+ */
+export function getAxes(direction) {
+  return direction === 'both' ? ['horizontal', 'vertical'] : [direction];
+}
+
+/**
+ * Get the axis used for single-value state and offsets
+ * For "both", this is the vertical axis
+ */
+export function getPrimaryAxis(direction) {
+  return direction === 'both' ? 'vertical' : direction;
+}
+
+/**
+ * Check if an axis scrolls from its physical right/bottom, based on the
+ * element's computed direction and writing mode. Browsers report negative
+ * scrollLeft/scrollTop on reversed axes.
+ */
+export function isAxisReversed(element, axis) {
+  const style = getComputedStyle(element);
+  const writingMode = style.writingMode || 'horizontal-tb';
+  const isRtl = style.direction === 'rtl';
+  
+  if (writingMode === 'horizontal-tb') {
+    // Inline axis is horizontal
+    return axis === 'horizontal' && isRtl;
+  }
+  
+  if (axis === 'horizontal') {
+    // Block axis is horizontal: vertical-rl and sideways-rl flow right to left
+    return writingMode.endsWith('-rl');
+  }
+  
+  // Inline axis is vertical: sideways-lr runs bottom to top unless rtl
+  return writingMode === 'sideways-lr' ? !isRtl : isRtl;
+}
+
+/**
+ * Resolve a position into the axis edges it refers to
+ * "start"/"end" apply to every tracked axis, physical positions to their own axis.
+ * When the element is given, physical positions on a reversed axis are flipped,
+ * so "left" is the end edge of an rtl scroller.
+ * Returns an empty array when the position doesn't match the direction.
+ */
+export function resolvePosition(position, direction, element = null) {
+  const axes = getAxes(direction);
+  
+  if (position === 'start' || position === 'end') {
+    return axes.map(axis => ({ axis, edge: position }));
+  }
+  
+  const physical = PHYSICAL_POSITIONS[position];
+  if (!physical || !axes.includes(physical.axis)) {
+    return [];
+  }
+  
+  if (element && isAxisReversed(element, physical.axis)) {
+    return [{ axis: physical.axis, edge: physical.edge === 'start' ? 'end' : 'start' }];
+  }
+  
+  return [physical];
+}
+
+/**
+ * Get the current scroll offset along an axis, measured from its logical start
+ */
+export function getScrollPosition(element, axis) {
+  const scrollPosition = axis === 'horizontal' ? element.scrollLeft : element.scrollTop;
+  return isAxisReversed(element, axis) ? Math.abs(scrollPosition) : scrollPosition;
+}
+
+/**
+ * Targets of running scroll animations, per element and axis
+ */
+const scrollTargets = new WeakMap();
+
+/**
+ * Record where a running scroll animation is heading along an axis, or null once it stopped
+ */
+export function setScrollTarget(element, axis, position) {
+  const targets = { ...scrollTargets.get(element) };
+  
+  if (position === null) {
+    delete targets[axis];
+  } else {
+    targets[axis] = position;
+  }
+  
+  if (Object.keys(targets).length > 0) {
+    scrollTargets.set(element, targets);
+  } else {
+    scrollTargets.delete(element);
+  }
+}
+
+/**
+ * What is currently scrolling each element frame by frame: an animation, a drag or a hold
+ */
+const scrollDrivers = new WeakMap();
+
+/**
+ * Record whether a driver ("animation", "drag" or "hold") is scrolling an element frame by frame
+ */
+export function setScrollDriven(element, driver, driven) {
+  const drivers = scrollDrivers.get(element) || new Set();
+  
+  if (driven) {
+    drivers.add(driver);
+    scrollDrivers.set(element, drivers);
+  } else {
+    drivers.delete(driver);
+    if (drivers.size === 0) scrollDrivers.delete(element);
+  }
+}
+
+/**
+ * Check if an element is being scrolled frame by frame by the module
+ */
+export function isScrollDriven(element) {
+  return scrollDrivers.has(element);
+}
+
+/**
+ * Scroll snapping paused on each element, with its original inline scroll-snap-type
+ */
+const pausedScrollSnaps = new WeakMap();
+
+/**
+ * Pause scroll snapping while an element is scrolled frame by frame
+ * Snapping would pull the element back to a snap point after every step.
+ * Returns a function that ends the pause; the inline scroll-snap-type is
+ * restored once every pause on the element has ended.
+ */
+export function disableScrollSnap(element) {
+  let paused = pausedScrollSnaps.get(element);
+  if (!paused) {
+    paused = { count: 0, scrollSnapType: element.style.scrollSnapType };
+    pausedScrollSnaps.set(element, paused);
+    element.style.scrollSnapType = 'none';
+  }
+  paused.count++;
+  
+  let restored = false;
+  return () => {
+    if (restored) return;
+    restored = true;
+    
+    paused.count--;
+    if (paused.count === 0) {
+      element.style.scrollSnapType = paused.scrollSnapType;
+      pausedScrollSnaps.delete(element);
+    }
+  };
+}
+
+/**
+ * Get the position navigation continues from: the target of a running scroll
+ * animation, so quick repeated clicks take even steps, or the current position
+ */
+export function getTargetScrollPosition(element, axis) {
+  const targets = scrollTargets.get(element);
+  return targets && targets[axis] !== undefined ? targets[axis] : getScrollPosition(element, axis);
+}
+
+/**
+ * Convert an offset from the logical start into a scrollLeft/scrollTop value
+ */
+export function toScrollOffset(element, axis, position) {
+  return isAxisReversed(element, axis) ? -position : position;
+}
+
+/**
+ * Get the maximum scroll offset along an axis
+ */
+export function getMaxScroll(element, axis) {
+  const maxScroll = axis === 'horizontal'
+    ? element.scrollWidth - element.clientWidth
+    : element.scrollHeight - element.clientHeight;
+  return Math.max(0, maxScroll);
+}
+
 /**
  * Check if element is at scroll start
+ * For "both", every axis must be at its start
  */
-export function isAtStart(element, direction) {
-  const scrollPosition = direction === 'horizontal' ? element.scrollLeft : element.scrollTop;
-  return scrollPosition <= CONFIG.SCROLL_THRESHOLD;
+export function isAtStart(element, direction, config = CONFIG, threshold = config.SCROLL_THRESHOLD) {
+  return getAxes(direction).every(axis => getScrollPosition(element, axis) <= threshold);
 }
 
 /**
  * Check if element is at scroll end
+ * For "both", every axis must be at its end
  */
-export function isAtEnd(element, direction) {
-  if (direction === 'horizontal') {
-    const maxScroll = element.scrollWidth - element.clientWidth;
-    return element.scrollLeft >= maxScroll - CONFIG.SCROLL_THRESHOLD;
-  } else {
-    const maxScroll = element.scrollHeight - element.clientHeight;
-    return element.scrollTop >= maxScroll - CONFIG.SCROLL_THRESHOLD;
+export function isAtEnd(element, direction, config = CONFIG, threshold = config.SCROLL_THRESHOLD) {
+  return getAxes(direction).every(axis => {
+    return getScrollPosition(element, axis) >= getMaxScroll(element, axis) - threshold;
+  });
+}
+
+/**
+ * Get the scroll state of an element, per axis and combined
+ * Single-value fields mirror the primary axis
+ */
+export function getScrollState(element, direction, config = CONFIG) {
+  const state = {
+    direction,
+    atStart: isAtStart(element, direction, config),
+    atEnd: isAtEnd(element, direction, config)
+  };
+  
+  getAxes(direction).forEach(axis => {
+    const scrollPosition = getScrollPosition(element, axis);
+    const maxScroll = getMaxScroll(element, axis);
+    
+    state[axis] = {
+      atStart: isAtStart(element, axis, config),
+      atEnd: isAtEnd(element, axis, config),
+      scrollPosition,
+      maxScroll,
+      progress: maxScroll > 0 ? Math.min(1, Math.max(0, scrollPosition / maxScroll)) : 0
+    };
+  });
+  
+  const primary = state[getPrimaryAxis(direction)];
+  state.scrollPosition = primary.scrollPosition;
+  state.maxScroll = primary.maxScroll;
+  state.progress = primary.progress;
+  
+  return state;
+}
+
+/**
+ * Fixed lengths: a number followed by px, rem, em or %
+ */
+const LENGTH_PATTERN = /^-?(\d*\.?\d+)(px|rem|em|%)$/;
+
+/**
+ * Convert a fixed length into pixels
+ * Returns null if the amount isn't a fixed length, or is a percentage without a container.
+ */
+function parseLength(amount, element, direction, container) {
+  const match = amount.trim().toLowerCase().match(LENGTH_PATTERN);
+  if (!match) return null;
+  
+  const value = parseFloat(match[1]);
+  
+  switch (match[2]) {
+    case 'px':
+      return value;
+    case '%': {
+      // Percentages are based on the container size, or the viewport for the page scroller
+      const reference = isPageScroller(element) ? getPageScroller() : container;
+      if (!reference) return null;
+      return (value / 100) * (direction === 'horizontal' ? reference.clientWidth : reference.clientHeight);
+    }
+    case 'rem':
+      return value * parseFloat(getComputedStyle(document.documentElement).fontSize);
+    default:
+      return value * parseFloat(getComputedStyle(element).fontSize);
   }
 }
 
+/**
+ * Get the default fixed amount in pixels
+ * A default that isn't a fixed length (e.g. "item") falls back to the global
+ * default, and to 0 if that isn't one either.
+ */
+function getDefaultAmount(element, direction, container, config) {
+  const amounts = [config.DEFAULT_SCROLL.FIXED_AMOUNT, CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT];
+  
+  for (const amount of amounts) {
+    const pixels = typeof amount === 'string' ? parseLength(amount, element, direction, container) : null;
+    if (pixels !== null) return Math.abs(pixels);
+  }
+  
+  log(`Cannot use default scroll amount "${config.DEFAULT_SCROLL.FIXED_AMOUNT}" as a fixed distance`, 'warn');
+  return 0;
+}
+
+/**
+ * Check that a scroll amount is a fixed length, "end", "item", "N items" or "page"
+ */
+export function isValidScrollAmount(scrollAmount) {
+  const amount = scrollAmount.trim().toLowerCase();
+  return amount === 'end' || LENGTH_PATTERN.test(amount) || parseItemAmount(amount) !== null;
+}
+
 /**
  * Parse scroll amount string into pixels
+ * Percentages are based on the container size along the given axis
  */
-export function parseScrollAmount(scrollAmount, element, direction, container) {
+export function parseScrollAmount(scrollAmount, element, direction, container, config = CONFIG) {
   if (!scrollAmount || scrollAmount.trim() === '') {
-    return CONFIG.DEFAULT_SCROLL.SCROLL_TO_END ? 'end' : parseScrollAmount(CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT, element, direction, container);
+    return config.DEFAULT_SCROLL.SCROLL_TO_END ? 'end' : getDefaultAmount(element, direction, container, config);
   }
   
   const amount = scrollAmount.trim().toLowerCase();
@@ -157,58 +777,173 @@ export function parseScrollAmount(scrollAmount, element, direction, container) {
     return 'end';
   }
   
-  // Parse pixel values
-  if (amount.endsWith('px')) {
-    const pixels = parseFloat(amount);
-    if (isNaN(pixels)) {
-      log(`Invalid pixel value "${scrollAmount}". Using default.`, 'warn');
-      return parseScrollAmount(CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT, element, direction, container);
-    }
+  const pixels = parseLength(amount, element, direction, container);
+  if (pixels !== null) {
     return Math.abs(pixels); // Use absolute value for negative numbers
   }
   
-  // Parse percentage values (based on container size)
-  if (amount.endsWith('%')) {
-    const percentage = parseFloat(amount);
-    if (isNaN(percentage)) {
-      log(`Invalid percentage value "${scrollAmount}". Using default.`, 'warn');
-      return parseScrollAmount(CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT, element, direction, container);
-    }
-    
-    if (!container) {
-      log(`Cannot calculate percentage without container reference. Using default.`, 'warn');
-      return parseScrollAmount(CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT, element, direction, container);
-    }
-    
-    const containerSize = direction === 'horizontal' ? container.clientWidth : container.clientHeight;
-    return Math.abs((percentage / 100) * containerSize);
+  if (LENGTH_PATTERN.test(amount)) {
+    log(`Cannot calculate percentage without container reference. Using default.`, 'warn');
+  } else {
+    log(`Invalid scroll amount format "${scrollAmount}". Must be px, rem, em, %, "end", "item", "N items" or "page". Using default.`, 'warn');
   }
   
-  // Parse rem values
-  if (amount.endsWith('rem')) {
-    const rems = parseFloat(amount);
-    if (isNaN(rems)) {
-      log(`Invalid rem value "${scrollAmount}". Using default.`, 'warn');
-      return parseScrollAmount(CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT, element, direction, container);
-    }
-    const rootFontSize = parseFloat(getComputedStyle(document.documentElement).fontSize);
-    return Math.abs(rems * rootFontSize);
+  return getDefaultAmount(element, direction, container, config);
+}
+
+/**
+ * Threshold values: a number of pixels, or a px, rem, em or % length
+ */
+const THRESHOLD_PATTERN = /^\d*\.?\d+(px|rem|em|%)?$/;
+
+/**
+ * Validate the threshold attribute of an indicator or click target
+ * Returns false (after warning) if the element has an invalid threshold
+ */
+export function validateThreshold(element) {
+  const threshold = element.getAttribute(ATTRIBUTES.THRESHOLD);
+  if (threshold === null || THRESHOLD_PATTERN.test(threshold.trim().toLowerCase())) {
+    return true;
+  }
+  
+  log(`Invalid threshold "${threshold}". Must be pixels or a px, rem, em or % length. Using the container threshold.`, 'warn', element, 'invalid-threshold');
+  return false;
+}
+
+/**
+ * Get the threshold of an indicator or click target along an axis, in pixels
+ * Units are parsed like click distances, so percentages are of the container size.
+ * Falls back to the container threshold if the element has no valid threshold.
+ */
+export function getElementThreshold(element, scrollableElement, axis, container, config = CONFIG) {
+  const threshold = (element.getAttribute(ATTRIBUTES.THRESHOLD) || '').trim().toLowerCase();
+  if (!THRESHOLD_PATTERN.test(threshold)) {
+    return config.SCROLL_THRESHOLD;
+  }
+  
+  // Bare numbers are pixels
+  const amount = /\d$/.test(threshold) ? `${threshold}px` : threshold;
+  return parseScrollAmount(amount, scrollableElement, axis, container, config);
+}
+
+/**
+ * Parse item-based scroll amounts: "item", "N items" or "page"
+ * Returns null for any other amount
+ */
+export function parseItemAmount(scrollAmount) {
+  if (!scrollAmount) return null;
+  
+  const amount = scrollAmount.trim().toLowerCase();
+  
+  if (amount === 'page') {
+    return { page: true, count: 1 };
+  }
+  
+  const match = amount.match(/^(\d+)?\s*items?$/);
+  if (!match) return null;
+  
+  const count = match[1] ? parseInt(match[1], 10) : 1;
+  return { page: false, count: Math.max(1, count) };
+}
+
+/**
+ * Get the logical start and end offsets of the scrollable element's items
+ * Offsets are in scroll coordinates, so an item's start is the scroll
+ * position that aligns it with the start edge. Hidden items are skipped.
+ * The page scroller has no items.
+ */
+export function getItemOffsets(element, axis) {
+  if (isPageScroller(element)) return [];
+  
+  const elementRect = element.getBoundingClientRect();
+  const reversed = isAxisReversed(element, axis);
+  const scrollPosition = getScrollPosition(element, axis);
+  const border = axis === 'horizontal' ? element.clientLeft : element.clientTop;
+  
+  return Array.from(element.children)
+    .map(child => {
+      const rect = child.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) return null;
+      
+      let offset;
+      if (axis === 'horizontal') {
+        offset = reversed ? elementRect.right - rect.right : rect.left - elementRect.left;
+      } else {
+        offset = reversed ? elementRect.bottom - rect.bottom : rect.top - elementRect.top;
+      }
+      
+      const start = offset - border + scrollPosition;
+      const size = axis === 'horizontal' ? rect.width : rect.height;
+      return { element: child, start, end: start + size };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the scroll-padding at the logical start edge of an axis
+ * Items are aligned after this padding, matching CSS scroll snapping
+ */
+export function getScrollPaddingStart(element, axis) {
+  const style = getComputedStyle(element);
+  const reversed = isAxisReversed(element, axis);
+  let padding;
+  
+  if (axis === 'horizontal') {
+    padding = reversed ? style.scrollPaddingRight : style.scrollPaddingLeft;
+  } else {
+    padding = reversed ? style.scrollPaddingBottom : style.scrollPaddingTop;
   }
   
-  // Parse em values
-  if (amount.endsWith('em')) {
-    const ems = parseFloat(amount);
-    if (isNaN(ems)) {
-      log(`Invalid em value "${scrollAmount}". Using default.`, 'warn');
-      return parseScrollAmount(CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT, element, direction, container);
+  return parseFloat(padding) || 0;
+}
+
+/**
+ * Get the scroll position that aligns the next item (or page of items) with the start edge
+ * Returns null if the element has no items to align to
+ */
+export function getItemScrollTarget(element, axis, edge, itemAmount, config = CONFIG) {
+  const items = getItemOffsets(element, axis);
+  if (items.length === 0) return null;
+  
+  const padding = getScrollPaddingStart(element, axis);
+  const currentPosition = getTargetScrollPosition(element, axis) + padding;
+  const viewportSize = (axis === 'horizontal' ? element.clientWidth : element.clientHeight) - padding;
+  const viewportEnd = currentPosition + viewportSize;
+  const tolerance = config.SCROLL_THRESHOLD;
+  let target;
+  
+  if (edge === 'end') {
+    if (itemAmount.page) {
+      // Align the first item that isn't fully visible
+      const next = items.find(item => item.end > viewportEnd + tolerance && item.start > currentPosition + tolerance);
+      target = next ? next.start : Infinity;
+    } else {
+      const nextItems = items.filter(item => item.start > currentPosition + tolerance);
+      const next = nextItems[Math.min(itemAmount.count, nextItems.length) - 1];
+      target = next ? next.start : Infinity;
+    }
+  } else {
+    if (itemAmount.page) {
+      // Align the first item that fits in the viewport together with the current first item
+      const first = items.find(item => item.start >= currentPosition - tolerance) || items[items.length - 1];
+      const previous = items.find(item => item.start >= first.start - viewportSize - tolerance);
+      target = previous && previous.start < currentPosition - tolerance ? previous.start : first.start - viewportSize;
+    } else {
+      const previousItems = items.filter(item => item.start < currentPosition - tolerance);
+      const previous = previousItems[Math.max(0, previousItems.length - itemAmount.count)];
+      target = previous ? previous.start : 0;
     }
-    const elementFontSize = parseFloat(getComputedStyle(element).fontSize);
-    return Math.abs(ems * elementFontSize);
   }
   
-  // Invalid format
-  log(`Invalid scroll amount format "${scrollAmount}". Must be px, rem, em, %, or "end". Using default.`, 'warn');
-  return parseScrollAmount(CONFIG.DEFAULT_SCROLL.FIXED_AMOUNT, element, direction, container);
+  return Math.min(getMaxScroll(element, axis), Math.max(0, target - padding));
+}
+
+/**
+ * Check if the user prefers reduced motion
+ */
+export function prefersReducedMotion() {
+  return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
 }
 
 /**
@@ -226,50 +961,90 @@ export function isElementVisible(element) {
          style.opacity !== '0';
 }
 
+/**
+ * Fill the {placeholders} of a text template, e.g. announcements and labels
+ */
+export function formatTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
 /**
  * Debounce function for performance optimization
+ * The returned function has a cancel() method to drop a pending call
  */
 export function debounce(func, wait) {
   let timeout;
-  return function executedFunction(...args) {
+  function executedFunction(...args) {
     const later = () => {
       clearTimeout(timeout);
       func(...args);
     };
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
-  };
+  }
+  executedFunction.cancel = () => clearTimeout(timeout);
+  return executedFunction;
 }
 
 /**
- * Perform scroll action
+ * Resolve a scroll action into the target position on each axis
+ * Each axis the position resolves to is scrolled independently.
+ * Positions are logical (from the start edge).
  */
-export function performScroll(element, direction, scrollAmount, indicatorPosition, container) {
-  const parsedAmount = parseScrollAmount(scrollAmount, element, direction, container);
-  
-  let scrollOptions = {
-    behavior: CONFIG.SCROLL_BEHAVIOR
-  };
+export function getScrollMoves(element, direction, scrollAmount, indicatorPosition, container, config = CONFIG) {
+  const itemAmount = parseItemAmount(scrollAmount);
   
-  if (parsedAmount === 'end') {
-    // Scroll to absolute start or end
-    if (direction === 'horizontal') {
-      scrollOptions.left = indicatorPosition === 'start' ? 0 : element.scrollWidth;
-    } else {
-      scrollOptions.top = indicatorPosition === 'start' ? 0 : element.scrollHeight;
+  return resolvePosition(indicatorPosition, direction, element).map(({ axis, edge }) => {
+    const currentPosition = getTargetScrollPosition(element, axis);
+    const maxScroll = getMaxScroll(element, axis);
+    let newPosition = itemAmount ? getItemScrollTarget(element, axis, edge, itemAmount, config) : null;
+    
+    if (newPosition !== null) {
+      return { axis, from: currentPosition, to: newPosition };
     }
-  } else {
-    // Scroll by specified amount
-    const currentPosition = direction === 'horizontal' ? element.scrollLeft : element.scrollTop;
-    const scrollDirection = indicatorPosition === 'start' ? -1 : 1;
-    const newPosition = currentPosition + (parsedAmount * scrollDirection);
     
-    if (direction === 'horizontal') {
-      scrollOptions.left = Math.max(0, newPosition);
+    if (itemAmount) {
+      log(`Scrollable element has no items for "${scrollAmount}". Using default.`, 'warn', element);
+    }
+    
+    const parsedAmount = itemAmount
+      ? parseScrollAmount(itemAmount.page ? '100%' : '', element, axis, element, config)
+      : parseScrollAmount(scrollAmount, element, axis, container, config);
+    
+    if (parsedAmount === 'end') {
+      // Scroll to absolute start or end
+      newPosition = edge === 'start' ? 0 : maxScroll;
     } else {
-      scrollOptions.top = Math.max(0, newPosition);
+      // Scroll by specified amount
+      const scrollDirection = edge === 'start' ? -1 : 1;
+      newPosition = Math.min(maxScroll, Math.max(0, currentPosition + (parsedAmount * scrollDirection)));
     }
-  }
+    
+    return { axis, from: currentPosition, to: newPosition };
+  });
+}
+
+/**
+ * Scroll an element to the targets returned by getScrollMoves
+ */
+export function applyScrollMoves(element, moves, config = CONFIG) {
+  let scrollOptions = {
+    behavior: config.SCROLL_BEHAVIOR
+  };
+  
+  moves.forEach(({ axis, to }) => {
+    const property = axis === 'horizontal' ? 'left' : 'top';
+    
+    // Positions are logical (from the start edge), convert for rtl and vertical writing modes
+    scrollOptions[property] = toScrollOffset(element, axis, to);
+  });
   
   element.scrollTo(scrollOptions);
+}
+
+/**
+ * Perform scroll action
+ */
+export function performScroll(element, direction, scrollAmount, indicatorPosition, container, config = CONFIG) {
+  applyScrollMoves(element, getScrollMoves(element, direction, scrollAmount, indicatorPosition, container, config), config);
 }
\ No newline at end of file